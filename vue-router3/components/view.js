@@ -127,6 +127,11 @@ export default {
       fillPropsinData(component, data, route, configProps)
     }
 
+    // 路由配置了 loader 时，组件声明了 loaderData prop 则传入 loader 的结果
+    if (matched.loader) {
+      fillLoaderDataInData(component, data, matched.loaderData)
+    }
+
     return h(component, data, children)
   }
 }
@@ -148,6 +153,17 @@ function fillPropsinData (component, data, route, configProps) {
   }
 }
 
+function fillLoaderDataInData (component, data, loaderData) {
+  const options = typeof component === 'function' ? component.options : component
+  const props = options && options.props
+  const declared = Array.isArray(props)
+    ? props.indexOf('loaderData') > -1
+    : !!props && 'loaderData' in props
+  if (declared) {
+    data.props = extend(data.props || {}, { loaderData })
+  }
+}
+
 function resolveProps (route, config) {
   switch (typeof config) {
     case 'undefined':
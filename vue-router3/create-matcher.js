@@ -7,10 +7,31 @@ import { createRoute } from './util/route'
 import { fillParams } from './util/params'
 import { createRouteMap } from './create-route-map'
 import { normalizeLocation } from './util/location'
+import { parseRank, compareRank, describeSegment } from './util/route-rank'
 
 export type Matcher = {
   match: (raw: RawLocation, current?: Route, redirectedFrom?: Location) => Route;
   addRoutes: (routes: Array<RouteConfig>) => void;
+  addRoute: (parentNameOrRoute: string | RouteConfig, route?: RouteConfig) => void;
+  removeRoute: (name: string) => void;
+  getRoutes: () => Array<RouteRecord>;
+  hasRoute: (name: string) => boolean;
+  explainMatch: (raw: RawLocation, current?: Route) => MatchExplanation;
+};
+
+type MatchExplanation = {
+  path: string,
+  order: 'specificity' | 'declaration',
+  winner: ?RouteRecord,
+  candidates: Array<{
+    record: RouteRecord,
+    path: string,
+    name: ?string,
+    rank: Array<string>,
+    matched: boolean,
+    won: boolean,
+    reason: string
+  }>
 };
 
 export function createMatcher (
@@ -20,9 +41,154 @@ export function createMatcher (
   // 创建路由映射表，包括路径和名称到路由 record 的映射表，方便通过 path 和 name 查找对应的路由 record
   const { pathList, pathMap, nameMap } = createRouteMap(routes)
 
+  // 默认按路径的优先级排序 pathList：静态片段优先于参数，参数优先于通配符，优先级相同时保持声明顺序
+  // legacyRouteOrder 为 true 时按声明顺序匹配
+  const legacyOrder = !!(router && router.options.legacyRouteOrder)
+  const ranks: Dictionary<Array<Object>> = Object.create(null) // path 到优先级的缓存
+  const getRank = path => ranks[path] || (ranks[path] = parseRank(path))
+
+  function rankPathList () {
+    if (legacyOrder) return
+    const order = Object.create(null)
+    pathList.forEach((path, i) => {
+      order[path] = i
+    })
+    pathList.sort((a, b) => compareRank(getRank(a), getRank(b)).result || order[a] - order[b])
+  }
+
+  rankPathList()
+
   // API，允许动态添加路由
   function addRoutes (routes) {
     createRouteMap(routes, pathList, pathMap, nameMap)
+    rankPathList()
+  }
+
+  // API，动态添加一条路由，传入父路由的 name 时作为其子路由添加
+  function addRoute (parentOrRoute, route) {
+    const parent = typeof parentOrRoute !== 'object' ? nameMap[parentOrRoute] : undefined
+    if (typeof parentOrRoute !== 'object' && !parent) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Cannot add route as a child of non-existent parent route "${String(parentOrRoute)}"`)
+      }
+      return
+    }
+    createRouteMap([route || parentOrRoute], pathList, pathMap, nameMap, parent)
+    rankPathList()
+  }
+
+  // API，根据 name 移除路由，其子路由以及别名一同被移除
+  function removeRoute (name) {
+    const target = nameMap[name]
+    if (!target) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Cannot remove non-existent route "${name}"`)
+      }
+      return
+    }
+
+    // 目标路由及其子路由的 path，别名 record 的 matchAs 指向这些 path
+    const removedPaths = Object.create(null)
+    const isDescendant = record => {
+      while (record) {
+        if (record === target) return true
+        record = record.parent
+      }
+      return false
+    }
+    pathList.forEach(path => {
+      if (isDescendant(pathMap[path])) removedPaths[path || '/'] = true
+    })
+    Object.keys(nameMap).forEach(key => {
+      if (isDescendant(nameMap[key])) removedPaths[nameMap[key].path || '/'] = true
+    })
+
+    // 别名 record 的子 record 同样需要移除
+    const isRemoved = record => {
+      while (record) {
+        if (record === target || (record.matchAs && removedPaths[record.matchAs])) return true
+        record = record.parent
+      }
+      return false
+    }
+
+    for (let i = pathList.length - 1; i >= 0; i--) {
+      const path = pathList[i]
+      if (isRemoved(pathMap[path])) {
+        pathList.splice(i, 1)
+        delete pathMap[path]
+      }
+    }
+    Object.keys(nameMap).forEach(key => {
+      if (isRemoved(nameMap[key])) delete nameMap[key]
+    })
+  }
+
+  // API，获取所有路由 record，顺序即匹配的优先级
+  function getRoutes () {
+    return pathList.map(path => pathMap[path])
+  }
+
+  // API，判断是否存在对应 name 的路由
+  function hasRoute (name) {
+    return !!nameMap[name]
+  }
+
+  // API，调试用，列出所有候选的路由 record 以及各自匹配成功或失败的原因
+  function explainMatch (
+    raw: RawLocation,
+    currentRoute?: Route
+  ): MatchExplanation {
+    const location = normalizeLocation(raw, currentRoute, false, router)
+    const path = location.path || '/'
+
+    let winner = null
+    const candidates = pathList.map(p => {
+      const record = pathMap[p]
+      const matched = record.regex.test(path)
+      const won = matched && !winner
+      if (won) winner = record
+      return {
+        record,
+        path: record.path || '/',
+        name: record.name,
+        rank: getRank(record.path).map(describeSegment),
+        matched,
+        won,
+        reason: ''
+      }
+    })
+
+    candidates.forEach(candidate => {
+      const { record, matched, won } = candidate
+      if (!matched) {
+        candidate.reason = `"${path}" does not match ${String(record.regex)}`
+      } else if (won) {
+        candidate.reason = legacyOrder
+          ? 'first matching route in declaration order'
+          : 'highest ranked matching route'
+      } else {
+        // $flow-disable-line winner exists if any candidate matched
+        const winnerPath = winner.path || '/'
+        if (legacyOrder) {
+          candidate.reason = `matched, but "${winnerPath}" is declared earlier`
+        } else {
+          const winnerRank = getRank(winner.path)
+          const rank = getRank(record.path)
+          const { result, index } = compareRank(winnerRank, rank)
+          candidate.reason = result
+            ? `matched, but "${winnerPath}" ranks higher: ${describeSegment(winnerRank[index])} beats ${describeSegment(rank[index])} at segment ${index + 1}`
+            : `matched, but "${winnerPath}" has the same rank and is declared earlier`
+        }
+      }
+    })
+
+    return {
+      path,
+      order: legacyOrder ? 'declaration' : 'specificity',
+      winner,
+      candidates
+    }
   }
 
   // 根据传入的路径和当前线路计算出匹配的新线路
@@ -174,7 +340,12 @@ export function createMatcher (
 
   return {
     match,
-    addRoutes
+    addRoute,
+    removeRoute,
+    getRoutes,
+    hasRoute,
+    addRoutes,
+    explainMatch
   }
 }
 
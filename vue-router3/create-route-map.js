@@ -9,7 +9,8 @@ export function createRouteMap (
   routes: Array<RouteConfig>, // 路由配置
   oldPathList?: Array<string>,
   oldPathMap?: Dictionary<RouteRecord>,
-  oldNameMap?: Dictionary<RouteRecord>
+  oldNameMap?: Dictionary<RouteRecord>,
+  parentRoute?: RouteRecord // 作为父路由的 record，用于在已有的路由下添加子路由
 ): {
   pathList: Array<string>,
   pathMap: Dictionary<RouteRecord>,
@@ -24,7 +25,16 @@ export function createRouteMap (
 
   // 遍历路由配置，添加路由 record，记录到上方定义的 pathList, pathMap, nameMap 中
   routes.forEach(route => {
-    addRouteRecord(pathList, pathMap, nameMap, route)
+    addRouteRecord(pathList, pathMap, nameMap, route, parentRoute)
+    // 父路由存在别名时，别名下同样添加该子路由
+    if (parentRoute) {
+      const matchAs = parentRoute.path || '/'
+      pathList
+        .filter(path => pathMap[path].matchAs === matchAs)
+        .forEach(path => {
+          addRouteRecord(pathList, pathMap, nameMap, route, pathMap[path], cleanPath(`${matchAs}/${route.path}`))
+        })
+    }
   })
 
   // ensure wildcard routes are always at the end
@@ -101,6 +111,8 @@ function addRouteRecord (
     matchAs,
     redirect: route.redirect,
     beforeEnter: route.beforeEnter,
+    loader: route.loader, // 导航时执行的数据加载函数 loader(to, from, { abort, redirect })
+    loaderData: undefined, // loader 的结果，导航确认后写入
     meta: route.meta || {},
     props:
       route.props == null
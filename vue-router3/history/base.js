@@ -3,7 +3,7 @@
 import { _Vue } from '../install'
 import type Router from '../index'
 import { inBrowser } from '../util/dom'
-import { runQueue } from '../util/async'
+import { runQueue, runParallel } from '../util/async'
 import { warn, isError, isRouterError } from '../util/warn'
 import { START, isSameRoute } from '../util/route'
 import {
@@ -11,6 +11,7 @@ import {
   flatMapComponents,
   resolveAsyncComponents
 } from '../util/resolve-components'
+import { resolveLoaders, extractLoaderRecords } from '../util/resolve-loaders'
 import {
   createNavigationDuplicatedError,
   createNavigationCancelledError,
@@ -175,6 +176,7 @@ export class History {
       this.current.matched,
       route.matched
     )
+    const loaderResults = [] // 路由 loader 的结果，导航确认后写入 record.loaderData
 
     // queue 为导航守卫函数（NavigationGuard）的数组，调用顺序为从前到后
     // 对照完整的导航解析流程查看：https://router.vuejs.org/zh/guide/advanced/navigation-guards.html#%E5%AE%8C%E6%95%B4%E7%9A%84%E5%AF%BC%E8%88%AA%E8%A7%A3%E6%9E%90%E6%B5%81%E7%A8%8B
@@ -187,8 +189,12 @@ export class History {
       extractUpdateHooks(updated), // 被更新路由的路由组件定义的 beforeRouteUpdate 钩子函数集合，顺序为先父后子
       // in-config enter guards
       activated.map(m => m.beforeEnter), // 被激活路由的路由配置中的 beforeEnter 钩子函数集合
-      // async components
-      resolveAsyncComponents(activated) // 解析异步路由组件
+      // async components and route loaders
+      // 解析异步路由组件，同时并行执行路由配置中的 loader
+      runParallel([
+        resolveAsyncComponents(activated),
+        resolveLoaders(extractLoaderRecords(updated, activated, current, route), loaderResults)
+      ])
     )
 
     this.pending = route
@@ -249,6 +255,9 @@ export class History {
           return abort(createNavigationCancelledError(current, route))
         }
         this.pending = null
+        loaderResults.forEach(([record, data]) => {
+          record.loaderData = data
+        })
         onComplete(route) // 更新路由，使用新路径替换 current，执行全局 afterEach 钩子
         if (this.router.app) {
           this.router.app.$nextTick(() => {
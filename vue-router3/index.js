@@ -267,6 +267,39 @@ export default class VueRouter {
       this.history.transitionTo(this.history.getCurrentLocation())
     }
   }
+
+  // 动态添加一条路由，传入父路由的 name 时作为其子路由添加
+  addRoute (parentOrRoute: string | RouteConfig, route?: RouteConfig) {
+    this.matcher.addRoute(parentOrRoute, route)
+    // 重新匹配当前路径，新添加的路由可能匹配当前路径
+    if (this.history.current !== START) {
+      this.history.transitionTo(this.history.getCurrentLocation())
+    }
+  }
+
+  // 根据 name 移除路由，其子路由以及别名一同被移除
+  removeRoute (name: string) {
+    this.matcher.removeRoute(name)
+    // 重新匹配当前路径，当前路由可能已经被移除
+    if (this.history.current !== START) {
+      this.history.transitionTo(this.history.getCurrentLocation())
+    }
+  }
+
+  // 获取所有路由 record
+  getRoutes (): Array<RouteRecord> {
+    return this.matcher.getRoutes()
+  }
+
+  // 判断是否存在对应 name 的路由
+  hasRoute (name: string): boolean {
+    return this.matcher.hasRoute(name)
+  }
+
+  // 调试用，列出匹配 path 时的所有候选路由，以及各自胜出或落选的原因
+  explainMatch (path: RawLocation) {
+    return this.matcher.explainMatch(path, this.history.current)
+  }
 }
 
 // 注册钩子函数
@@ -23,3 +23,27 @@ export function runQueue (
   // 从队列第一个元素开始
   step(0)
 }
+
+// 并行执行多个类似导航守卫钩子的函数，全部调用 next() 后再继续
+// 其中一个传入 false、Error 或者跳转的 location 时，立即以该值调用 next，其余结果被忽略
+export function runParallel (
+  guards: Array<NavigationGuard>
+): NavigationGuard {
+  return (to, from, next) => {
+    let pending = guards.length
+    let done = false
+    if (!pending) return next()
+    guards.forEach(guard => {
+      guard(to, from, (result: any) => {
+        if (done) return
+        if (result !== undefined) {
+          done = true
+          next(result)
+        } else if (--pending === 0) {
+          done = true
+          next()
+        }
+      })
+    })
+  }
+}
@@ -0,0 +1,82 @@
+/* @flow */
+
+import { isError } from './warn'
+import { stringifyQuery } from './query'
+
+// 解析路由 record 上配置的 loader，返回类似导航守卫钩子的函数
+// 所有 loader 并行执行，结果以 [record, data] 的形式保存在 results 中，导航确认后再写入 record.loaderData
+export function resolveLoaders (
+  records: Array<RouteRecord>, // 需要执行 loader 的 record
+  results: Array<[RouteRecord, any]>
+): NavigationGuard {
+  return (to, from, next) => {
+    const loaders = records.filter(record => typeof record.loader === 'function')
+    let pending = loaders.length
+    let settled = false
+
+    if (!pending) return next()
+
+    const fail = (reason: any) => {
+      if (settled) return
+      settled = true
+      // loader 通过 abort() 或 redirect() 中止导航，与导航守卫中的 next(false) 以及 next(location) 相同
+      if (reason instanceof LoaderControl) {
+        next(reason.location)
+      } else {
+        next(isError(reason) ? reason : new Error(`Failed to resolve route loader: ${String(reason)}`))
+      }
+    }
+
+    loaders.forEach(record => {
+      let res
+      try {
+        res = record.loader(to, from, { abort, redirect })
+      } catch (e) {
+        return fail(e)
+      }
+      Promise.resolve(res).then(data => {
+        if (settled) return
+        if (data instanceof LoaderControl) return fail(data)
+        results.push([record, data])
+        if (--pending === 0) {
+          settled = true
+          next()
+        }
+      }, fail)
+    })
+  }
+}
+
+// 获取需要执行 loader 的 record，新激活的 record 总是执行
+// 复用的 record 只有在其 path 中的参数或者 query 变化时才重新执行
+export function extractLoaderRecords (
+  updated: Array<RouteRecord>,
+  activated: Array<RouteRecord>,
+  current: Route,
+  route: Route
+): Array<RouteRecord> {
+  const queryChanged = stringifyQuery(current.query) !== stringifyQuery(route.query)
+  return updated
+    .filter(record => typeof record.loader === 'function' && (
+      queryChanged ||
+      record.regex.keys.some(key => current.params[key.name] !== route.params[key.name])
+    ))
+    .concat(activated)
+}
+
+// loader 返回或抛出 abort()、redirect() 的结果来中止导航
+class LoaderControl {
+  location: any
+
+  constructor (location: any) {
+    this.location = location
+  }
+}
+
+function abort (): LoaderControl {
+  return new LoaderControl(false)
+}
+
+function redirect (location: RawLocation): LoaderControl {
+  return new LoaderControl(location)
+}
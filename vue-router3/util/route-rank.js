@@ -0,0 +1,103 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+
+type Segment = {
+  text: string,
+  kind: string,
+  score: number
+};
+
+// 路径片段的优先级，分数越高越优先匹配
+// 路径在某个片段处结束时，视为一个 end 片段，使得 /users 优先于 /users/:id? 和 /users/*
+const scores = {
+  static: 4, // 静态片段，如 /users
+  custom: 3.5, // 自定义正则的参数或者包含静态字符的参数，如 /:id(\\d+)、/:name.:ext
+  param: 3, // 参数，如 /:id
+  end: 2.5,
+  optional: 2, // 可选参数，如 /:id?
+  repeat: 1, // 可重复参数，如 /:path*、/:path+
+  wildcard: 0 // 通配符，如 /*
+}
+
+const END: Segment = { text: '', kind: 'end', score: scores.end }
+
+// 将路由路径解析为带有优先级的片段
+export function parseRank (path: string): Array<Segment> {
+  const segments = []
+  let parts: any = null // 当前片段
+  const startSegment = () => {
+    parts = { text: '', statics: false, kinds: [] }
+    segments.push(parts)
+  }
+
+  Regexp.parse(path).forEach(token => {
+    if (typeof token === 'string') {
+      token.split('/').forEach((str, i) => {
+        if (i > 0 || !parts) startSegment()
+        if (str) {
+          parts.text += str
+          parts.statics = true
+        }
+      })
+      return
+    }
+    if (token.prefix === '/' || !parts) startSegment()
+    if (token.prefix && token.prefix !== '/') {
+      parts.text += token.prefix
+      parts.statics = true
+    }
+    parts.text += formatToken(token)
+    parts.kinds.push(getTokenKind(token))
+  })
+
+  return segments
+    .filter(parts => parts.text)
+    .map(({ text, statics, kinds }) => {
+      let kind = 'static'
+      kinds.forEach(k => {
+        if (scores[k] < scores[kind]) kind = k
+      })
+      // 同时包含静态字符的参数片段比普通参数更具体
+      if (statics && kind === 'param') kind = 'custom'
+      return { text, kind, score: scores[kind] }
+    })
+}
+
+// 比较两个路径的优先级，返回负数表示 a 优先，0 表示相同（保持声明顺序）
+// index 为第一个不同的片段的位置
+export function compareRank (
+  a: Array<Segment>,
+  b: Array<Segment>
+): { result: number, index: number } {
+  const len = Math.max(a.length, b.length)
+  for (let i = 0; i < len; i++) {
+    const diff = (b[i] || END).score - (a[i] || END).score
+    if (diff) {
+      return { result: diff, index: i }
+    }
+  }
+  return { result: 0, index: -1 }
+}
+
+// 描述片段，如 static "users"、param ":id"
+export function describeSegment (segment: ?Segment): string {
+  if (!segment || segment.kind === 'end') return 'end of path'
+  return `${segment.kind} "${segment.text}"`
+}
+
+function getTokenKind (token: Object): string {
+  if (token.asterisk) return 'wildcard'
+  if (token.repeat) return 'repeat'
+  if (token.optional) return 'optional'
+  const defaultPattern = `[^${token.delimiter.replace(/([.+*?=^!:${}()[\]|/\\])/g, '\\$1')}]+?`
+  return token.pattern === defaultPattern ? 'param' : 'custom'
+}
+
+function formatToken (token: Object): string {
+  if (token.asterisk) return '*'
+  const modifier = token.repeat
+    ? (token.optional ? '*' : '+')
+    : (token.optional ? '?' : '')
+  return `:${token.name}${modifier}`
+}
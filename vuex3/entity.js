@@ -0,0 +1,138 @@
+import { assert, forEachValue, isObject } from './util'
+
+/**
+ * Create a namespaced module which stores normalized entities.
+ * Every entity of the schema becomes a namespaced child module with `byId`/`allIds` state,
+ * `upsert`/`remove` mutations and `byId`/`all` getters.
+ * The parent module provides the `upsert` action which splits nested payloads across
+ * the entity modules, and the `related` getter which resolves relationships.
+ *
+ * 根据 entity schema 创建存放范式化数据的 namespaced module
+ *
+ * schema:
+ * {
+ *   users: {},
+ *   comments: { relations: { author: 'users' } },
+ *   posts: { idAttribute: 'slug', relations: { author: 'users', comments: ['comments'] } }
+ * }
+ * 数组形式的 relation 表示一对多关系
+ *
+ * @param {Object} schema
+ * @return {Object}
+ */
+export function createEntityModule (schema) {
+  if (__DEV__) {
+    forEachValue(schema, (definition, entity) => {
+      forEachValue(definition.relations || {}, (target, key) => {
+        const name = Array.isArray(target) ? target[0] : target
+        assert(name in schema, `unknown entity "${name}" in relation "${entity}.${key}".`)
+      })
+    })
+  }
+
+  const modules = {}
+  forEachValue(schema, (definition, entity) => {
+    modules[entity] = createTableModule()
+  })
+
+  return {
+    namespaced: true,
+
+    getters: {
+      byId: state => (entity, id) => state[entity].byId[id],
+      all: state => entity => state[entity].allIds.map(id => state[entity].byId[id]),
+      // 解析 entity 的关联数据，一对多关系返回数组
+      related: state => (entity, id, relation) => {
+        const record = state[entity].byId[id]
+        const target = (schema[entity].relations || {})[relation]
+        if (!record || !target) return
+        const value = record[relation]
+        return Array.isArray(target)
+          ? (value || []).map(id => state[target[0]].byId[id])
+          : state[target].byId[value]
+      }
+    },
+
+    actions: {
+      // 将嵌套的数据范式化后拆分到各个 entity module 中
+      upsert ({ commit }, { entity, data }) {
+        const tables = {}
+        normalize(schema, entity, data, tables)
+        forEachValue(tables, (records, name) => {
+          commit(`${name}/upsert`, { records, idAttribute: getIdAttribute(schema, name) })
+        })
+      },
+      remove ({ commit }, { entity, id }) {
+        commit(`${entity}/remove`, id)
+      }
+    },
+
+    modules
+  }
+}
+
+// 单个 entity 的 module
+function createTableModule () {
+  return {
+    namespaced: true,
+
+    state: () => ({
+      byId: {},
+      allIds: []
+    }),
+
+    getters: {
+      byId: state => id => state.byId[id],
+      all: state => state.allIds.map(id => state.byId[id])
+    },
+
+    mutations: {
+      // 浅合并已存在的 record，替换整个 byId 对象使新增的 key 同样是响应式的
+      upsert (state, { records, idAttribute = 'id' }) {
+        const byId = Object.assign({}, state.byId)
+        const allIds = state.allIds.slice()
+        records.forEach(record => {
+          const id = record[idAttribute]
+          if (!(id in byId)) allIds.push(id)
+          byId[id] = Object.assign({}, byId[id], record)
+        })
+        state.byId = byId
+        state.allIds = allIds
+      },
+      remove (state, ids) {
+        ids = Array.isArray(ids) ? ids : [ids]
+        const byId = Object.assign({}, state.byId)
+        ids.forEach(id => {
+          delete byId[id]
+        })
+        state.byId = byId
+        state.allIds = state.allIds.filter(id => ids.indexOf(id) < 0)
+      }
+    }
+  }
+}
+
+// 范式化数据，关联的嵌套对象替换为 id，并收集到 tables 中，返回 id
+function normalize (schema, entity, data, tables) {
+  if (Array.isArray(data)) {
+    return data.map(item => normalize(schema, entity, item, tables))
+  }
+
+  const record = Object.assign({}, data)
+  forEachValue(schema[entity].relations || {}, (target, key) => {
+    const value = data[key]
+    if (value == null) return
+    const name = Array.isArray(target) ? target[0] : target
+    record[key] = Array.isArray(target)
+      ? value.map(item => isObject(item) ? normalize(schema, name, item, tables) : item)
+      : isObject(value) ? normalize(schema, name, value, tables) : value
+  })
+
+  if (!tables[entity]) tables[entity] = []
+  tables[entity].push(record)
+  return record[getIdAttribute(schema, entity)]
+}
+
+function getIdAttribute (schema, entity) {
+  return schema[entity].idAttribute || 'id'
+}
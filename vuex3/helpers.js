@@ -1,4 +1,4 @@
-import { isObject } from './util'
+import { isObject, assert } from './util'
 
 /**
  * Reduce the code which written in Vue.js for getting the state.
@@ -76,10 +76,14 @@ export const mapMutations = normalizeNamespace((namespace, mutations) => {
       // 处理 namespace
       if (namespace) {
         const module = getModuleByNamespace(this.$store, 'mapMutations', namespace) // 获取 namespace 对应的 module
-        if (!module) {
+        if (module) {
+          commit = module.context.commit // module 对应的 commit
+        } else if (this.$store._preloadLazyModule(namespace)) {
+          // 尚未加载的 lazy module，由 store.commit 在加载完成后提交
+          commit = (type, ...rest) => this.$store.commit(namespace + type, ...rest)
+        } else {
           return
         }
-        commit = module.context.commit // module 对应的 commit
       }
       return typeof val === 'function'
         ? val.apply(this, [commit].concat(args))
@@ -140,10 +144,14 @@ export const mapActions = normalizeNamespace((namespace, actions) => {
       let dispatch = this.$store.dispatch // store 的 dispatch API
       if (namespace) {
         const module = getModuleByNamespace(this.$store, 'mapActions', namespace) // 获取 namespace 对应的 module
-        if (!module) {
+        if (module) {
+          dispatch = module.context.dispatch // module 对应的 dispatch
+        } else if (this.$store._preloadLazyModule(namespace)) {
+          // 尚未加载的 lazy module，由 store.dispatch 在加载完成后分发
+          dispatch = (type, ...rest) => this.$store.dispatch(namespace + type, ...rest)
+        } else {
           return
         }
-        dispatch = module.context.dispatch // module 对应的 dispatch
       }
       return typeof val === 'function'
         ? val.apply(this, [dispatch].concat(args))
@@ -153,6 +161,90 @@ export const mapActions = normalizeNamespace((namespace, actions) => {
   return res
 })
 
+/**
+ * Reduce the code which written in Vue.js for two-way binding the state with v-model.
+ * Every field becomes a computed property with get/set, the setter commits a mutation so that it works in strict mode.
+ * @param {String} [namespace] - Module's namespace
+ * @param {Object|Array} fields # Item can be a state path such as 'user.name' or 'items[0].qty'. Object's item can also be { path, mutation }, the named mutation is committed with the new value, otherwise the generic `updateField` mutation is committed with { path, value }.
+ * @return {Object}
+ */
+
+// mapFields 语法糖
+export const mapFields = normalizeNamespace((namespace, fields) => {
+  const res = {} // 返回值是个对象
+  if (__DEV__ && !isValidMap(fields)) {
+    console.error('[vuex] mapFields: mapper parameter must be either an Array or an Object')
+  }
+  normalizeMap(fields).forEach(({ key, val }) => {
+    const { path, mutation } = typeof val === 'string' ? { path: val } : val
+    const segments = parsePath(path)
+    // 数组形式中 key 与 path 相同，使用最后一段作为计算属性名，如 'user.name' => name
+    if (Array.isArray(fields)) key = segments[segments.length - 1]
+    // 如 ['items[0].qty', 'items[1].qty'] 会得到相同的计算属性名，后者会覆盖前者
+    if (__DEV__ && key in res) {
+      console.error(
+        `[vuex] mapFields: "${path}" is mapped to "${key}" which is already used by another field, ` +
+        `use the object form to name it.`
+      )
+    }
+
+    res[key] = {
+      get () {
+        let state = this.$store.state // 根 state
+        if (namespace) {
+          const module = getModuleByNamespace(this.$store, 'mapFields', namespace) // 获取 namespace 对应的 module
+          if (!module) {
+            return
+          }
+          state = module.context.state // module 对应的 state
+        }
+        return getValueByPath(state, segments)
+      },
+      set (value) {
+        let commit = this.$store.commit // store 的 commit API
+        if (namespace) {
+          const module = getModuleByNamespace(this.$store, 'mapFields', namespace) // 获取 namespace 对应的 module
+          if (!module) {
+            return
+          }
+          commit = module.context.commit // module 对应的 commit
+        }
+        mutation
+          ? commit(mutation, value)
+          : commit('updateField', { path, value })
+      }
+    }
+    // mark vuex getter for devtools
+    res[key].get.vuex = true
+  })
+  return res
+})
+
+/**
+ * Generic mutation handler for mapFields, register it in the module's mutations as `updateField`
+ * The field must already exist in the state, a new property would not be reactive.
+ * @param {Object} state
+ * @param {Object} payload # { path, value }
+ */
+export function updateField (state, { path, value }) {
+  const segments = parsePath(path)
+  const key = segments[segments.length - 1]
+  const parent = getValueByPath(state, segments.slice(0, -1))
+  // 新增的属性不是响应式的，字段需要在 state 中预先声明
+  if (__DEV__) {
+    assert(
+      isObject(parent) && (Array.isArray(parent) || key in parent),
+      `updateField: "${path}" does not exist in the state, declare it in the initial state.`
+    )
+  }
+  if (Array.isArray(parent)) {
+    // 通过索引修改数组项不会触发更新，使用 splice
+    parent.splice(key, 1, value)
+  } else {
+    parent[key] = value
+  }
+}
+
 /**
  * Rebinding namespace param for mapXXX function in special scoped, and return them by simple object
  * @param {String} namespace
@@ -162,7 +254,8 @@ export const createNamespacedHelpers = (namespace) => ({
   mapState: mapState.bind(null, namespace),
   mapGetters: mapGetters.bind(null, namespace),
   mapMutations: mapMutations.bind(null, namespace),
-  mapActions: mapActions.bind(null, namespace)
+  mapActions: mapActions.bind(null, namespace),
+  mapFields: mapFields.bind(null, namespace)
 })
 
 /**
@@ -183,6 +276,20 @@ function normalizeMap (map) {
     : Object.keys(map).map(key => ({ key, val: map[key] }))
 }
 
+/**
+ * Parse the state path
+ * parsePath('items[0].qty') => ['items', '0', 'qty']
+ * @param {String} path
+ * @return {Array}
+ */
+function parsePath (path) {
+  return path.replace(/\[(\w+)\]/g, '.$1').split('.').filter(key => key)
+}
+
+function getValueByPath (state, segments) {
+  return segments.reduce((value, key) => value == null ? undefined : value[key], state)
+}
+
 /**
  * Validate whether given map is valid or not
  * @param {*} map
@@ -224,6 +331,10 @@ function normalizeNamespace (fn) {
 // 根据 namespace 获取对应的 module
 function getModuleByNamespace (store, helper, namespace) {
   const module = store._modulesNamespaceMap[namespace]
+  // 属于尚未加载的 lazy module 时开始加载，加载完成后 computed 会重新求值
+  if (!module && store._preloadLazyModule(namespace)) {
+    return
+  }
   if (__DEV__ && !module) {
     console.error(`[vuex] module namespace not found in ${helper}(): ${namespace}`)
   }
@@ -1,6 +1,14 @@
 import { Store, install } from './store'
-import { mapState, mapMutations, mapGetters, mapActions, createNamespacedHelpers } from './helpers'
+import { isCancelledError } from './policies'
+import { createResourceModule } from './resource'
+import { createEntityModule } from './entity'
+import { createTestStore } from './testing'
+import { syncRouter } from './router-sync'
+import { mapState, mapMutations, mapGetters, mapActions, mapFields, updateField, createNamespacedHelpers } from './helpers'
 import createLogger from './plugins/logger'
+import createPersistedState from './plugins/persisted-state'
+import createHistory from './plugins/history'
+import createTabSync from './plugins/tab-sync'
 
 export default {
   Store,
@@ -10,8 +18,18 @@ export default {
   mapMutations,
   mapGetters,
   mapActions,
+  mapFields,
+  updateField,
   createNamespacedHelpers,
-  createLogger
+  createResourceModule,
+  createEntityModule,
+  createTestStore,
+  syncRouter,
+  createLogger,
+  createPersistedState,
+  createHistory,
+  createTabSync,
+  isCancelledError
 }
 
 export {
@@ -21,6 +39,16 @@ export {
   mapMutations,
   mapGetters,
   mapActions,
+  mapFields,
+  updateField,
   createNamespacedHelpers,
-  createLogger
+  createResourceModule,
+  createEntityModule,
+  createTestStore,
+  syncRouter,
+  createLogger,
+  createPersistedState,
+  createHistory,
+  createTabSync,
+  isCancelledError
 }
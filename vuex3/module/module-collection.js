@@ -28,8 +28,12 @@ export default class ModuleCollection {
     }, '')
   }
 
-  update (rawRootModule) {
-    update([], this.root, rawRootModule)
+  // 热更新，返回新增以及移除的 module 路径
+  // prune 为 true 时，移除新配置中不存在的静态 module（没有 modules 字段的 module 视为没有子 module），移除前以 module 调用 beforeRemove
+  update (rawRootModule, prune = false, beforeRemove) {
+    const changes = { added: [], removed: [] }
+    update(this, [], this.root, rawRootModule, { prune, beforeRemove }, changes)
+    return changes
   }
 
   // 注册 module
@@ -51,6 +55,11 @@ export default class ModuleCollection {
     // 递归注册 module
     if (rawModule.modules) {
       forEachValue(rawModule.modules, (rawChildModule, key) => {
+        // 异步工厂函数声明的 module，如 () => import('./admin')，在首次访问其命名空间时才注册
+        if (typeof rawChildModule === 'function') {
+          newModule.addLazyChild(key, rawChildModule)
+          return
+        }
         this.register(path.concat(key) /* 拼接 path */, rawChildModule, runtime)
       })
     }
@@ -88,7 +97,7 @@ export default class ModuleCollection {
   }
 }
 
-function update (path, targetModule, newModule) {
+function update (collection, path, targetModule, newModule, options, changes) {
   if (__DEV__) {
     assertRawModule(path, newModule)
   }
@@ -97,23 +106,49 @@ function update (path, targetModule, newModule) {
   targetModule.update(newModule)
 
   // update nested modules
-  if (newModule.modules) {
-    for (const key in newModule.modules) {
+  // 没有 modules 字段时视为没有子 module
+  const modules = newModule.modules || {}
+  for (const key in modules) {
+    const rawChildModule = modules[key]
+    if (typeof rawChildModule === 'function') {
+      // 尚未加载的 module，已经加载过的不再处理
       if (!targetModule.getChild(key)) {
-        if (__DEV__) {
-          console.warn(
-            `[vuex] trying to add a new module '${key}' on hot reloading, ` +
-            'manual reload is needed'
-          )
-        }
-        return
+        targetModule.addLazyChild(key, rawChildModule)
       }
-      update(
-        path.concat(key),
-        targetModule.getChild(key),
-        newModule.modules[key]
-      )
+      continue
     }
+    // 热更新时新增的 module
+    if (!targetModule.getChild(key)) {
+      collection.register(path.concat(key), rawChildModule, false)
+      changes.added.push(path.concat(key))
+      continue
+    }
+    update(
+      collection,
+      path.concat(key),
+      targetModule.getChild(key),
+      rawChildModule,
+      options,
+      changes
+    )
+  }
+
+  if (options.prune) {
+    // 动态注册的 module 不在配置中，不会被移除
+    targetModule.forEachChild((child, key) => {
+      if (!child.runtime && !(key in modules)) {
+        if (options.beforeRemove) {
+          options.beforeRemove(child)
+        }
+        targetModule.removeChild(key)
+        changes.removed.push(path.concat(key))
+      }
+    })
+    targetModule.forEachLazyChild((lazy, key) => {
+      if (!(key in modules)) {
+        targetModule.removeLazyChild(key)
+      }
+    })
   }
 }
 
@@ -128,12 +163,23 @@ const objectAssert = {
   expected: 'function or object with "handler" function'
 }
 
+const getterAssert = {
+  assert: value => typeof value === 'function' ||
+    (typeof value === 'object' && typeof value.handler === 'function'),
+  expected: 'function or object with "handler" function'
+}
+
 const assertTypes = {
-  getters: functionAssert,
+  getters: getterAssert,
   mutations: functionAssert,
-  actions: objectAssert
+  actions: objectAssert,
+  effects: objectAssert,
+  plugins: functionAssert
 }
 
+// module 的生命周期钩子
+const hooks = ['onRegister', 'onUnregister']
+
 function assertRawModule (path, rawModule) {
   Object.keys(assertTypes).forEach(key => {
     if (!rawModule[key]) return
@@ -147,6 +193,16 @@ function assertRawModule (path, rawModule) {
       )
     })
   })
+
+  hooks.forEach(key => {
+    if (rawModule[key] === undefined) return
+
+    let buf = `${key} should be function`
+    if (path.length > 0) {
+      buf += ` in module "${path.join('.')}"`
+    }
+    assert(typeof rawModule[key] === 'function', `${buf} but is ${JSON.stringify(rawModule[key])}.`)
+  })
 }
 
 function makeAssertionMessage (path, key, type, value, expected) {
@@ -1,4 +1,4 @@
-import { forEachValue } from '../util'
+import { forEachValue, clone } from '../util'
 
 // Base data struct for store's module, package with some attribute and method
 
@@ -8,6 +8,7 @@ export default class Module {
     this.runtime = runtime
     // Store some children item
     this._children = Object.create(null) // 子 module
+    this._lazyChildren = Object.create(null) // 尚未加载的子 module，形如 { factory, promise }
     // Store the origin module object which passed by programmer
     this._rawModule = rawModule // 保存当前 module
     const rawState = rawModule.state
@@ -15,12 +16,22 @@ export default class Module {
     // Store the origin module's state
     // 保存 module 的 state
     this.state = (typeof rawState === 'function' ? rawState() : rawState) || {}
+    // 对象形式的 state 会在使用过程中被修改，保存一份初始 state 的拷贝用于重置
+    this._initialState = typeof rawState === 'function' ? null : clone(this.state)
   }
 
   get namespaced () {
     return !!this._rawModule.namespaced
   }
 
+  // 获取一份新的初始 state，state 为工厂函数时重新调用，否则复制初始 state（Date 等非普通对象保留引用）
+  getInitialState () {
+    const rawState = this._rawModule.state
+    return typeof rawState === 'function'
+      ? rawState() || {}
+      : clone(this._initialState)
+  }
+
   // 添加一个子 module
   addChild (key, module) {
     this._children[key] = module
@@ -31,6 +42,16 @@ export default class Module {
     delete this._children[key]
   }
 
+  // 添加一个由异步工厂函数声明的子 module
+  addLazyChild (key, factory) {
+    this._lazyChildren[key] = { factory, promise: null }
+  }
+
+  // 移除尚未加载的子 module
+  removeLazyChild (key) {
+    delete this._lazyChildren[key]
+  }
+
   // 根据 key 获取子 module
   getChild (key) {
     return this._children[key]
@@ -52,6 +73,13 @@ export default class Module {
     if (rawModule.getters) {
       this._rawModule.getters = rawModule.getters
     }
+    if (rawModule.effects) {
+      this._rawModule.effects = rawModule.effects
+    }
+    if (rawModule.state) {
+      this._rawModule.state = rawModule.state
+      this._initialState = typeof rawModule.state === 'function' ? null : clone(rawModule.state)
+    }
   }
 
   // 遍历子 module
@@ -59,6 +87,11 @@ export default class Module {
     forEachValue(this._children, fn)
   }
 
+  // 遍历尚未加载的子 module
+  forEachLazyChild (fn) {
+    forEachValue(this._lazyChildren, fn)
+  }
+
   // 遍历 getter
   forEachGetter (fn) {
     if (this._rawModule.getters) {
@@ -79,4 +112,23 @@ export default class Module {
       forEachValue(this._rawModule.mutations, fn)
     }
   }
+
+  // 遍历 effect
+  forEachEffect (fn) {
+    if (this._rawModule.effects) {
+      forEachValue(this._rawModule.effects, fn)
+    }
+  }
+
+  // 遍历 module 的插件
+  forEachPlugin (fn) {
+    if (this._rawModule.plugins) {
+      this._rawModule.plugins.forEach(fn)
+    }
+  }
+
+  // 获取生命周期钩子，如 onRegister、onUnregister
+  getHook (name) {
+    return this._rawModule[name]
+  }
 }
@@ -0,0 +1,211 @@
+import { isObject, isPlainObject, isEqual, clone } from './util'
+
+/**
+ * Compute the RFC 6902 JSON Patch operations which turn prev into next.
+ * Plain objects and arrays are compared recursively, any other value is compared by identity.
+ * Arrays are compared by index: changed items are replaced, extra items are added to
+ * or removed from the end.
+ *
+ * 计算将 prev 变为 next 的 JSON Patch（RFC 6902）操作
+ *
+ * @param {*} prev
+ * @param {*} next
+ * @param {String} [path] - JSON Pointer of the compared values
+ * @param {Array<Object>} [ops]
+ * @return {Array<Object>}
+ */
+export function diff (prev, next, path = '', ops = []) {
+  if (prev === next) {
+    return ops
+  }
+
+  if (isArray(prev) && isArray(next)) {
+    const common = Math.min(prev.length, next.length)
+    for (let i = 0; i < common; i++) {
+      diff(prev[i], next[i], `${path}/${i}`, ops)
+    }
+    for (let i = common; i < next.length; i++) {
+      ops.push({ op: 'add', path: `${path}/${i}`, value: clone(next[i]) })
+    }
+    // 从后往前删除，保证每个操作的下标都有效
+    for (let i = prev.length - 1; i >= common; i--) {
+      ops.push({ op: 'remove', path: `${path}/${i}` })
+    }
+    return ops
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    Object.keys(prev).forEach(key => {
+      if (!hasOwn(next, key)) {
+        ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` })
+      }
+    })
+    Object.keys(next).forEach(key => {
+      const childPath = `${path}/${escapeToken(key)}`
+      hasOwn(prev, key)
+        ? diff(prev[key], next[key], childPath, ops)
+        : ops.push({ op: 'add', path: childPath, value: clone(next[key]) })
+    })
+    return ops
+  }
+
+  // NaN 被视为没有变化
+  if (prev !== prev && next !== next) {
+    return ops
+  }
+
+  ops.push({ op: 'replace', path, value: clone(next) })
+  return ops
+}
+
+/**
+ * Apply RFC 6902 JSON Patch operations (add, remove, replace, move, copy, test) to state.
+ * Nested values are changed through Vue.set / Vue.delete so they stay reactive.
+ * Returns the new root, which differs from state only when the root itself is replaced.
+ * Throws when an operation is invalid or a test fails; operations before it are already applied.
+ *
+ * 将 JSON Patch 操作应用到 state 上，通过 Vue.set / Vue.delete 修改以保持响应式
+ *
+ * @param {Function} Vue
+ * @param {*} state
+ * @param {Array<Object>} ops
+ * @return {*}
+ */
+export function applyPatch (Vue, state, ops) {
+  let root = state
+
+  const get = path => {
+    const tokens = parsePointer(path)
+    return tokens.reduce((value, token) => {
+      if (!isObject(value) || !hasOwn(value, token)) {
+        throw new Error(`[vuex] JSON Patch path "${path}" does not exist.`)
+      }
+      return value[token]
+    }, root)
+  }
+
+  const add = (path, value) => {
+    const tokens = parsePointer(path)
+    if (!tokens.length) {
+      root = value
+      return
+    }
+    const key = tokens.pop()
+    const parent = getParent(path, tokens)
+    if (isArray(parent)) {
+      const index = key === '-' ? parent.length : toIndex(path, key, parent.length)
+      parent.splice(index, 0, value)
+    } else {
+      Vue.set(parent, key, value)
+    }
+  }
+
+  const remove = path => {
+    const tokens = parsePointer(path)
+    if (!tokens.length) {
+      throw new Error(`[vuex] JSON Patch cannot remove the root state.`)
+    }
+    const key = tokens.pop()
+    const parent = getParent(path, tokens)
+    const value = get(path)
+    if (isArray(parent)) {
+      parent.splice(toIndex(path, key, parent.length - 1), 1)
+    } else {
+      Vue.delete(parent, key)
+    }
+    return value
+  }
+
+  const replace = (path, value) => {
+    get(path) // 路径必须存在
+    const tokens = parsePointer(path)
+    if (!tokens.length) {
+      root = value
+      return
+    }
+    const key = tokens.pop()
+    const parent = getParent(path, tokens)
+    isArray(parent)
+      ? parent.splice(Number(key), 1, value)
+      : Vue.set(parent, key, value)
+  }
+
+  const getParent = (path, tokens) => {
+    const parent = get(toPointer(tokens))
+    if (!isObject(parent)) {
+      throw new Error(`[vuex] JSON Patch path "${path}" does not exist.`)
+    }
+    return parent
+  }
+
+  ops.forEach(operation => {
+    const { op, path, from, value } = operation
+    switch (op) {
+      case 'add':
+        add(path, clone(value))
+        break
+      case 'remove':
+        remove(path)
+        break
+      case 'replace':
+        replace(path, clone(value))
+        break
+      case 'move':
+        if (path.indexOf(from + '/') === 0) {
+          throw new Error(`[vuex] JSON Patch cannot move "${from}" into its own child "${path}".`)
+        }
+        if (from !== path) add(path, remove(from))
+        break
+      case 'copy':
+        add(path, clone(get(from)))
+        break
+      case 'test':
+        if (!isEqual(get(path), value)) {
+          throw new Error(`[vuex] JSON Patch test failed at "${path}".`)
+        }
+        break
+      default:
+        throw new Error(`[vuex] unknown JSON Patch operation ${JSON.stringify(operation)}.`)
+    }
+  })
+
+  return root
+}
+
+/**
+ * Convert a path (Array of keys) into a JSON Pointer
+ *
+ * @param {Array<String>} path
+ * @return {String}
+ */
+export function toPointer (path) {
+  return path.map(key => '/' + escapeToken(key)).join('')
+}
+
+function parsePointer (path) {
+  if (path === '') return []
+  if (typeof path !== 'string' || path.charAt(0) !== '/') {
+    throw new Error(`[vuex] invalid JSON Pointer "${path}".`)
+  }
+  return path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+function escapeToken (key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function toIndex (path, key, max) {
+  const index = /^(0|[1-9]\d*)$/.test(key) ? Number(key) : -1
+  if (index < 0 || index > max) {
+    throw new Error(`[vuex] JSON Patch path "${path}" is not a valid array index.`)
+  }
+  return index
+}
+
+function isArray (value) {
+  return Array.isArray(value)
+}
+
+function hasOwn (obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key)
+}
@@ -0,0 +1,137 @@
+import { clone, isObject, isEqual, isPromise, normalizePath, getNestedValue, setNestedValue } from '../util'
+
+// 撤销/重做插件
+// 每次 mutation 之后记录 paths 中指定 module state 的快照，并在 store 上暴露 undo、redo、canUndo、canRedo 方法
+export default function createHistory ({
+  paths = [[]], // 需要记录的 module 路径，默认为整个根 state
+  ignore = [], // 忽略的 mutation type，其修改会被合并到当前快照中，不产生新的历史记录
+  maxDepth = 100, // 最多保留的历史记录数
+  groupBy = (mutation, prevMutation) => false // 返回 true 时与上一次 mutation 合并为同一步
+} = {}) {
+  const normalizedPaths = paths.map(normalizePath)
+
+  return store => {
+    const undoStack = []
+    const redoStack = []
+    let current = snapshot(store.state)
+    let prevMutation = null
+    let groupDepth = 0 // store.groupHistory 嵌套深度
+    let groupStarted = false // 当前分组是否已经产生了历史记录
+
+    function snapshot (state) {
+      // Date、Map 等非普通对象保留引用，deepCopy 会将其转化为空对象
+      return normalizedPaths.map(path => clone(getNestedValue(state, path)))
+    }
+
+    function restore (target) {
+      let nextState = store.state
+      normalizedPaths.forEach((path, i) => {
+        // module 未注册时跳过
+        const state = getNestedValue(nextState, path)
+        if (target[i] === undefined || state === undefined) return
+        const module = path.reduce((module, key) => module && module.getChild(key), store._modules.root)
+        // 快照之后动态注册的 module 不在快照中，保留其当前的 state
+        const value = module ? keepModuleState(module, clone(target[i]), state) : clone(target[i])
+        nextState = setNestedValue(nextState, path, value)
+      })
+      store.replaceState(nextState)
+      current = target
+      prevMutation = null
+    }
+
+    function record (mutation, next) {
+      const merged = groupDepth > 0
+        ? groupStarted
+        : prevMutation !== null && groupBy(mutation, prevMutation)
+      if (!merged) {
+        undoStack.push(current)
+        if (undoStack.length > maxDepth) {
+          undoStack.shift()
+        }
+      }
+      if (groupDepth > 0) {
+        groupStarted = true
+      }
+      redoStack.length = 0
+      current = next
+      prevMutation = mutation
+    }
+
+    store.subscribe((mutation, state) => {
+      const next = snapshot(state)
+      if (ignore.indexOf(mutation.type) > -1) {
+        current = next
+        return
+      }
+      if (isEqual(current, next)) return // 没有修改需要记录的 state
+      record(mutation, next)
+    })
+
+    store.undo = () => {
+      if (!undoStack.length) return
+      redoStack.push(current)
+      restore(undoStack.pop())
+    }
+
+    store.redo = () => {
+      if (!redoStack.length) return
+      undoStack.push(current)
+      restore(redoStack.pop())
+    }
+
+    store.canUndo = () => undoStack.length > 0
+
+    store.canRedo = () => redoStack.length > 0
+
+    // fn 内的所有 mutation 记为一步，fn 返回 Promise 时在其结束后关闭分组
+    store.groupHistory = fn => {
+      if (groupDepth++ === 0) {
+        groupStarted = false
+      }
+      const end = () => {
+        if (--groupDepth === 0) {
+          prevMutation = null
+        }
+      }
+      let res
+      try {
+        res = fn()
+      } catch (e) {
+        end()
+        throw e
+      }
+      if (isPromise(res)) {
+        return res.then(val => {
+          end()
+          return val
+        }, err => {
+          end()
+          throw err
+        })
+      }
+      end()
+      return res
+    }
+
+    store.clearHistory = () => {
+      undoStack.length = 0
+      redoStack.length = 0
+      current = snapshot(store.state)
+      prevMutation = null
+    }
+  }
+}
+
+// 将 module 下已注册、但 value 中不存在的子 module 的 state 合并到 value 中
+function keepModuleState (module, value, state) {
+  if (!isObject(value) || !isObject(state)) return value
+  module.forEachChild((child, key) => {
+    if (state[key] === undefined) return
+    if (value[key] === undefined) {
+      value[key] = state[key]
+    } else {
+      keepModuleState(child, value[key], state[key])
+    }
+  })
+  return value
+}
@@ -1,6 +1,6 @@
 // Credits: borrowed code from fcomb/redux-logger
 
-import { deepCopy } from '../util'
+import { deepCopy, isObject } from '../util'
 
 export default function createLogger ({
   collapsed = true,
@@ -11,7 +11,11 @@ export default function createLogger ({
   actionTransformer = act => act,
   logMutations = true,
   logActions = true,
-  logger = console
+  logger = console,
+  // 'console': prints prev/next state in a console group
+  // 'diff': prints only the changed paths, with action durations
+  // 'json': prints one JSON line per mutation/action, for Node/SSR logs
+  mode = 'console'
 } = {}) {
   return store => {
     let prevState = deepCopy(store.state)
@@ -25,15 +29,36 @@ export default function createLogger ({
         const nextState = deepCopy(state)
 
         if (filter(mutation, prevState, nextState)) {
-          const formattedTime = getFormattedTime()
           const formattedMutation = mutationTransformer(mutation)
-          const message = `mutation ${mutation.type}${formattedTime}`
 
-          startMessage(logger, message, collapsed)
-          logger.log('%c prev state', 'color: #9E9E9E; font-weight: bold', transformer(prevState))
-          logger.log('%c mutation', 'color: #03A9F4; font-weight: bold', formattedMutation)
-          logger.log('%c next state', 'color: #4CAF50; font-weight: bold', transformer(nextState))
-          endMessage(logger)
+          if (mode === 'json') {
+            logger.log(stringify({
+              kind: 'mutation',
+              type: mutation.type,
+              payload: formattedMutation.payload,
+              time: Date.now(),
+              diff: diff(transformer(prevState), transformer(nextState))
+            }))
+          } else if (mode === 'diff') {
+            const changes = diff(transformer(prevState), transformer(nextState))
+            startMessage(logger, `mutation ${mutation.type}${getFormattedTime()}`, collapsed)
+            logger.log('%c mutation', 'color: #03A9F4; font-weight: bold', formattedMutation)
+            if (changes.length) {
+              changes.forEach(change => logChange(logger, change))
+            } else {
+              logger.log('%c no changes', 'color: #9E9E9E')
+            }
+            endMessage(logger)
+          } else {
+            const formattedTime = getFormattedTime()
+            const message = `mutation ${mutation.type}${formattedTime}`
+
+            startMessage(logger, message, collapsed)
+            logger.log('%c prev state', 'color: #9E9E9E; font-weight: bold', transformer(prevState))
+            logger.log('%c mutation', 'color: #03A9F4; font-weight: bold', formattedMutation)
+            logger.log('%c next state', 'color: #4CAF50; font-weight: bold', transformer(nextState))
+            endMessage(logger)
+          }
         }
 
         prevState = nextState
@@ -41,21 +66,131 @@ export default function createLogger ({
     }
 
     if (logActions) {
-      store.subscribeAction((action, state) => {
-        if (actionFilter(action, state)) {
-          const formattedTime = getFormattedTime()
-          const formattedAction = actionTransformer(action)
-          const message = `action ${action.type}${formattedTime}`
-
-          startMessage(logger, message, collapsed)
-          logger.log('%c action', 'color: #03A9F4; font-weight: bold', formattedAction)
+      if (mode === 'console') {
+        store.subscribeAction((action, state) => {
+          if (actionFilter(action, state)) {
+            const formattedTime = getFormattedTime()
+            const formattedAction = actionTransformer(action)
+            const message = `action ${action.type}${formattedTime}`
+
+            startMessage(logger, message, collapsed)
+            logger.log('%c action', 'color: #03A9F4; font-weight: bold', formattedAction)
+            endMessage(logger)
+          }
+        })
+        return
+      }
+
+      // dispatch passes the same action object to before and after/error,
+      // so the start time can be looked up by identity once the promise settles
+      const pending = []
+      const finish = (action, state, error) => {
+        const index = findIndex(pending, entry => entry.action === action)
+        if (index < 0) return
+        const { startTime } = pending.splice(index, 1)[0]
+        const duration = Math.round((now() - startTime) * 1000) / 1000
+        const status = error ? 'error' : 'done'
+
+        if (mode === 'json') {
+          logger.log(stringify({
+            kind: 'action',
+            type: action.type,
+            id: action.trace ? action.trace.id : undefined,
+            parentId: action.trace ? action.trace.parentId : undefined,
+            payload: actionTransformer(action).payload,
+            time: Date.now(),
+            status,
+            duration,
+            error: error ? String(error) : undefined
+          }))
+        } else {
+          startMessage(logger, `action ${action.type} ${status} in ${duration}ms${getFormattedTime()}`, collapsed)
+          logger.log('%c action', 'color: #03A9F4; font-weight: bold', actionTransformer(action))
+          if (error) {
+            logger.log('%c error', 'color: #F20404; font-weight: bold', error)
+          }
           endMessage(logger)
         }
+      }
+
+      store.subscribeAction({
+        before: (action, state) => {
+          if (actionFilter(action, state)) {
+            pending.push({ action, startTime: now() })
+          }
+        },
+        after: (action, state) => finish(action, state),
+        error: (action, state, error) => finish(action, state, error)
       })
     }
   }
 }
 
+// JSON.stringify for the json mode, it runs inside store.commit so it must not throw.
+// Circular references (e.g. an event or a component in the payload) are replaced with "[Circular]".
+function stringify (entry) {
+  const ancestors = []
+  try {
+    return JSON.stringify(entry, function (key, value) {
+      if (!isObject(value)) return value
+      // `this` is the object holding value, keep only its ancestors on the stack
+      while (ancestors.length && ancestors[ancestors.length - 1] !== this) ancestors.pop()
+      if (ancestors.indexOf(value) > -1) return '[Circular]'
+      ancestors.push(value)
+      return value
+    })
+  } catch (e) {
+    // e.g. a BigInt, or a toJSON() that throws
+    return JSON.stringify({ kind: entry.kind, type: entry.type, time: entry.time, error: `cannot serialize entry: ${e}` })
+  }
+}
+
+// Structural diff of two deep-copied state trees.
+// Returns a flat list of { op: 'add' | 'remove' | 'change', path, from, to }.
+function diff (prev, next, path = [], changes = []) {
+  if (prev === next) return changes
+  if (!isObject(prev) || !isObject(next) || Array.isArray(prev) !== Array.isArray(next)) {
+    changes.push({ op: 'change', path: path.join('.'), from: prev, to: next })
+    return changes
+  }
+  Object.keys(prev).forEach(key => {
+    if (!(key in next)) {
+      changes.push({ op: 'remove', path: path.concat(key).join('.'), from: prev[key] })
+    }
+  })
+  Object.keys(next).forEach(key => {
+    if (!(key in prev)) {
+      changes.push({ op: 'add', path: path.concat(key).join('.'), to: next[key] })
+    } else {
+      diff(prev[key], next[key], path.concat(key), changes)
+    }
+  })
+  return changes
+}
+
+function logChange (logger, { op, path, from, to }) {
+  if (op === 'add') {
+    logger.log(`%c + ${path}`, 'color: #4CAF50', to)
+  } else if (op === 'remove') {
+    logger.log(`%c - ${path}`, 'color: #F20404', from)
+  } else {
+    logger.log(`%c ~ ${path}`, 'color: #2196F3', from, '→', to)
+  }
+}
+
+function findIndex (list, f) {
+  for (let i = 0; i < list.length; i++) {
+    if (f(list[i])) return i
+  }
+  return -1
+}
+
+function now () {
+  return typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now()
+}
+
 function startMessage (logger, message, collapsed) {
   const startMessage = collapsed
     ? logger.groupCollapsed
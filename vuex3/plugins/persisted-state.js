@@ -0,0 +1,229 @@
+import { isPromise, isPlainObject, normalizePath, getNestedValue, setNestedValue } from '../util'
+
+// 持久化 state 插件
+// 将 paths 中指定的 module state 写入 storage，并在 store 创建以及动态注册 module 时通过 replaceState 恢复
+export default function createPersistedState ({
+  key = 'vuex',
+  storage = getDefaultStorage(),
+  paths = [[]], // 需要持久化的 module 路径，默认为整个根 state
+  version = 0,
+  migrations = {}, // 迁移函数，key 为迁移后的版本号
+  filter = mutation => true,
+  serialize = JSON.stringify,
+  deserialize = JSON.parse
+} = {}) {
+  const normalizedPaths = paths.map(normalizePath)
+
+  return store => {
+    let saved = null // 已读取并迁移过的持久化数据，形如 { 'a.b': state }
+    let savedModules = [] // 持久化时的 module 路径，用于区分 state 中哪些字段属于 module
+    let hydrated = false // 读取完成之前不写入，避免异步 storage 中的数据被覆盖
+
+    const isRegistered = path => path.every((_, i) => store.hasModule(path.slice(0, i + 1)))
+
+    // 持久化数据中属于 path 下（不包括自身）尚未注册的 module 的路径
+    const unregisteredModules = path => savedModules.filter(modulePath =>
+      modulePath.length > path.length && isPrefix(path, modulePath) && !isRegistered(modulePath)
+    )
+
+    // 移除 value（path 处的持久化数据）中尚未注册的 module 的 state，在其注册时再恢复
+    const omitModules = (value, path) => unregisteredModules(path).reduce((res, modulePath) => {
+      const relative = modulePath.slice(path.length)
+      return getNestedValue(res, relative) === undefined ? res : omitNestedValue(res, relative)
+    }, value)
+
+    // 恢复 prefix 路径下（包含自身）所有已注册 module 的 state
+    // 持久化的路径是 prefix 的父级路径时（如默认的根 state），只恢复 prefix 对应的部分
+    function rehydrate (prefix) {
+      if (!saved) return
+      let nextState = store.state
+      normalizedPaths.forEach(path => {
+        const id = path.join('.')
+        if (!(id in saved)) return
+        const target = isPrefix(prefix, path) ? path : isPrefix(path, prefix) ? prefix : null
+        if (!target) return
+        const value = getNestedValue(saved[id], target.slice(path.length))
+        const current = getNestedValue(nextState, target)
+        if (value === undefined || current === undefined) return // module 尚未注册
+        nextState = setNestedValue(nextState, target, merge(current, omitModules(value, target)))
+      })
+      if (nextState !== store.state) {
+        store.replaceState(nextState)
+      }
+    }
+
+    function persist (state) {
+      const payload = { version, state: {}, modules: [] }
+      normalizedPaths.forEach(path => {
+        const id = path.join('.')
+        let value = getNestedValue(state, path)
+        if (value === undefined) return
+        // 尚未注册的 module 保留之前存储的数据
+        unregisteredModules(path).forEach(modulePath => {
+          const prev = saved && id in saved
+            ? getNestedValue(saved[id], modulePath.slice(path.length))
+            : undefined
+          if (prev !== undefined) {
+            value = setNestedValue(value, modulePath.slice(path.length), prev)
+          }
+        })
+        payload.state[id] = value
+      })
+      // 未注册的 module 保留之前存储的数据
+      if (saved) {
+        Object.keys(saved).forEach(id => {
+          if (!(id in payload.state)) payload.state[id] = saved[id]
+        })
+      }
+      payload.modules = collectModules(store._modules.root, [])
+        .concat(savedModules.filter(path => !isRegistered(path)))
+        .map(path => path.join('.'))
+      saved = payload.state
+      savedModules = payload.modules.map(normalizePath)
+      handleError(() => storage.setItem(key, serialize(payload)), 'write')
+    }
+
+    function load (raw) {
+      hydrated = true
+      if (raw == null) return
+      let payload
+      try {
+        payload = deserialize(raw)
+      } catch (e) {
+        if (__DEV__) {
+          console.error(`[vuex] persisted state under key "${key}" could not be parsed.`)
+          console.error(e)
+        }
+        return
+      }
+      saved = migrate(payload, version, migrations)
+      savedModules = ((payload && payload.modules) || []).map(normalizePath)
+      rehydrate([])
+    }
+
+    const raw = handleError(() => storage.getItem(key), 'read')
+    if (isPromise(raw)) {
+      raw.then(load)
+    } else {
+      load(raw)
+    }
+
+    store.subscribe((mutation, state) => {
+      if (hydrated && filter(mutation)) {
+        persist(state)
+      }
+    })
+
+    // 动态注册 module 后，恢复该 module 下的持久化 state
+    const registerModule = store.registerModule
+    store.registerModule = function (path, rawModule, options) {
+      registerModule.call(store, path, rawModule, options)
+      rehydrate(normalizePath(path))
+    }
+  }
+}
+
+// 内存 storage，适用于服务端渲染以及测试
+export function createMemoryStorage () {
+  const items = Object.create(null)
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => { items[key] = String(value) },
+    removeItem: key => { delete items[key] }
+  }
+}
+
+function getDefaultStorage () {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage
+    }
+  } catch (e) {
+    // 访问 localStorage 可能因为隐私设置而抛出错误
+  }
+  return createMemoryStorage()
+}
+
+// 按版本号从小到大依次执行迁移函数
+function migrate (payload, version, migrations) {
+  const from = (payload && payload.version) || 0
+  let state = (payload && payload.state) || {}
+  if (from > version) {
+    if (__DEV__) {
+      console.warn(
+        `[vuex] persisted state version ${from} is newer than ${version}, discarded.`
+      )
+    }
+    return null
+  }
+  Object.keys(migrations)
+    .map(Number)
+    .filter(v => v > from && v <= version)
+    .sort((a, b) => a - b)
+    .forEach(v => {
+      state = migrations[v](state) || {}
+    })
+  return state
+}
+
+function handleError (fn, operation) {
+  let res
+  try {
+    res = fn()
+  } catch (e) {
+    reportError(e, operation)
+    return null
+  }
+  if (isPromise(res)) {
+    return res.then(null, e => {
+      reportError(e, operation)
+      return null
+    })
+  }
+  return res
+}
+
+function reportError (e, operation) {
+  if (__DEV__) {
+    console.error(`[vuex] failed to ${operation} persisted state.`)
+    console.error(e)
+  }
+}
+
+// 返回删除 path 处的值后的副本
+function omitNestedValue (obj, path) {
+  const key = path[0]
+  const copy = Object.assign({}, obj)
+  if (path.length === 1) {
+    delete copy[key]
+  } else {
+    copy[key] = omitNestedValue(obj[key], path.slice(1))
+  }
+  return copy
+}
+
+// 所有已注册的 module 的路径（不包括根 module）
+function collectModules (module, path) {
+  const res = []
+  module.forEachChild((child, key) => {
+    res.push(path.concat(key))
+    res.push.apply(res, collectModules(child, path.concat(key)))
+  })
+  return res
+}
+
+function isPrefix (prefix, path) {
+  return prefix.every((key, i) => path[i] === key)
+}
+
+// 持久化数据合并到当前 state 中，保留当前 state 中新增的字段
+function merge (target, source) {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return source
+  }
+  const res = Object.assign({}, target)
+  Object.keys(source).forEach(key => {
+    res[key] = merge(target[key], source[key])
+  })
+  return res
+}
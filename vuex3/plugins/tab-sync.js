@@ -0,0 +1,171 @@
+import { deepCopy, normalizePath, getNestedValue, setNestedValue } from '../util'
+
+// 多标签页同步插件
+// 将选中的 mutation 通过 transport 广播到其他标签页并重放，新打开的标签页会向已有标签页请求初始 state
+export default function createTabSync ({
+  channel = 'vuex', // 默认 transport 使用的频道名称
+  transport = createDefaultTransport(channel),
+  filter = mutation => true, // 需要同步的 mutation，可以是 type 数组或者函数，resetState 对应的 type 为 vuex/reset
+  paths = [[]], // 初始握手时同步的 module 路径，默认为整个根 state
+  // 冲突策略，决定是否应用来自其他标签页的 mutation
+  // - 'apply': 总是应用
+  // - 'lastWriteWins': 本地在其之后提交过相同 type 的 mutation 时丢弃
+  // - function (remote, local): remote 为 { type, payload, time }，local 为本地最近一次相同 type 的 mutation（可能为 undefined），返回 true 时应用
+  conflict = 'apply',
+  handshakeTimeout = 1000 // 等待初始 state 的时间，超时后不再接受
+} = {}) {
+  const shouldSync = Array.isArray(filter)
+    ? mutation => filter.indexOf(mutation.type) > -1
+    : filter
+  const resolveConflict = typeof conflict === 'function'
+    ? conflict
+    : conflict === 'lastWriteWins'
+      ? (remote, local) => !local || local.time <= remote.time
+      : () => true
+  const normalizedPaths = paths.map(normalizePath)
+
+  return store => {
+    if (!transport) return
+
+    const origin = createId() // 当前标签页的 id，用于防止重放自身广播的 mutation
+    const lastLocal = Object.create(null) // 本地最近一次提交的各 type 的 mutation
+    let replaying = false // 正在重放其他标签页的 mutation，此时不再广播
+    let waitingState = true // 是否在等待初始 state
+
+    const send = message => {
+      message.origin = origin
+      try {
+        transport.send(message)
+      } catch (e) {
+        if (__DEV__) {
+          console.error(`[vuex] failed to broadcast message to other tabs.`)
+          console.error(e)
+        }
+      }
+    }
+
+    const replay = mutation => {
+      if (mutation.type === 'vuex/reset') {
+        const { path } = mutation.payload
+        // 忽略当前标签页未注册的 module
+        if (path.every((_, i) => store.hasModule(path.slice(0, i + 1)))) {
+          store.resetState(path)
+        }
+      } else if (store._mutations[mutation.type]) { // 忽略当前标签页未注册的 mutation
+        store.commit(mutation.type, mutation.payload)
+      }
+    }
+
+    const onMessage = message => {
+      if (!message || message.origin === origin) return
+
+      switch (message.kind) {
+        case 'hello': {
+          // 回复新打开的标签页
+          const state = {}
+          normalizedPaths.forEach(path => {
+            const value = getNestedValue(store.state, path)
+            if (value !== undefined) state[path.join('.')] = deepCopy(value)
+          })
+          send({ kind: 'state', target: message.origin, state })
+          break
+        }
+        case 'state': {
+          if (message.target !== origin || !waitingState) return
+          waitingState = false // 只接受第一个回复
+          let nextState = store.state
+          normalizedPaths.forEach(path => {
+            const id = path.join('.')
+            if (!(id in message.state) || getNestedValue(nextState, path) === undefined) return
+            nextState = setNestedValue(nextState, path, message.state[id])
+          })
+          store.replaceState(nextState)
+          break
+        }
+        case 'mutations': {
+          const mutations = message.mutations.filter(remote =>
+            resolveConflict(remote, lastLocal[remote.type])
+          )
+          if (!mutations.length) return
+          replaying = true
+          try {
+            mutations.length > 1
+              ? store.transaction(() => mutations.forEach(replay))
+              : replay(mutations[0])
+          } finally {
+            replaying = false
+          }
+          break
+        }
+      }
+    }
+
+    transport.listen(onMessage)
+
+    store.subscribe(mutation => {
+      if (replaying) return
+      // 事务结束时的通知包含了事务中的所有 mutation
+      const list = mutation.type === 'vuex/transaction' ? mutation.payload : [mutation]
+      const time = Date.now()
+      const mutations = list
+        .filter(shouldSync)
+        .map(({ type, payload }) => ({ type, payload: deepCopy(payload), time }))
+      if (!mutations.length) return
+      mutations.forEach(mutation => {
+        lastLocal[mutation.type] = mutation
+      })
+      send({ kind: 'mutations', mutations })
+    })
+
+    // 初始握手，向已有的标签页请求 state
+    send({ kind: 'hello' })
+    setTimeout(() => {
+      waitingState = false
+    }, handshakeTimeout)
+  }
+}
+
+// 基于 BroadcastChannel 的 transport
+export function createBroadcastChannelTransport (name) {
+  const channel = new BroadcastChannel(name)
+  return {
+    send: message => channel.postMessage(message),
+    listen: fn => {
+      channel.onmessage = e => fn(e.data)
+    }
+  }
+}
+
+// 基于 localStorage 以及 storage 事件的 transport，storage 事件只会在其他标签页中触发
+export function createStorageTransport (key) {
+  return {
+    // 相同的值不会触发 storage 事件，附加随机的 nonce
+    send: message => window.localStorage.setItem(key, JSON.stringify({ message, nonce: createId() })),
+    listen: fn => {
+      window.addEventListener('storage', e => {
+        if (e.key !== key || !e.newValue) return
+        try {
+          fn(JSON.parse(e.newValue).message)
+        } catch (err) {}
+      })
+    }
+  }
+}
+
+function createDefaultTransport (channel) {
+  // 非浏览器环境（如服务端渲染）不进行同步
+  if (typeof window === 'undefined') {
+    return null
+  }
+  if (typeof BroadcastChannel !== 'undefined') {
+    return createBroadcastChannelTransport(channel)
+  }
+  if (window.localStorage) {
+    return createStorageTransport(channel)
+  }
+  return null
+}
+
+function createId () {
+  return Math.random().toString(36).slice(2) + Date.now().toString(36)
+}
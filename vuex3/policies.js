@@ -0,0 +1,137 @@
+import { assert } from './util'
+
+const policies = ['takeEvery', 'takeLatest', 'takeLeading', 'debounce', 'throttle']
+
+/**
+ * Wrap an action handler with a concurrency policy.
+ * The handler receives an AbortSignal as the second argument, which fires
+ * when the call is superseded; the dispatch promise of a superseded call
+ * rejects with a cancelled error (see isCancelledError).
+ *
+ * 为 action 处理函数添加并发策略
+ * - takeEvery: 默认策略，每次调用都完整执行
+ * - takeLatest: 新的调用会取消仍在执行中的旧调用
+ * - takeLeading: 存在执行中的调用时，新的调用会被取消
+ * - debounce: 在 wait 毫秒内没有新的调用才执行，新调用会取消等待中以及执行中的旧调用
+ * - throttle: wait 毫秒内只执行第一次调用，其余调用会被取消
+ *
+ * @param {Function} handler - (payload, signal, trace) => Promise
+ * @param {String} type
+ * @param {Object} [options]
+ * @return {Function}
+ */
+export function applyPolicy (handler, type, { policy = 'takeEvery', wait = 0 } = {}) {
+  if (__DEV__) {
+    assert(policies.indexOf(policy) > -1, `unknown policy "${policy}" for action "${type}".`)
+  }
+
+  let last = null // 最近一次调用的 AbortController
+  let timer = null
+  let lastRun = 0
+
+  // 调用结束后清除 last
+  const run = (controller, fn) => {
+    last = controller
+    const res = guard(new Promise(resolve => resolve(fn())), controller, type)
+    const clear = () => {
+      if (last === controller) last = null
+    }
+    res.then(clear, clear)
+    return res
+  }
+
+  switch (policy) {
+    case 'takeLatest':
+      return (payload, trace) => {
+        if (last) abort(last, type)
+        const controller = createAbortController()
+        return run(controller, () => handler(payload, controller.signal, trace))
+      }
+    case 'takeLeading':
+      return (payload, trace) => {
+        if (last) return Promise.reject(createCancelledError(type))
+        const controller = createAbortController()
+        return run(controller, () => handler(payload, controller.signal, trace))
+      }
+    case 'debounce':
+      return (payload, trace) => {
+        if (last) abort(last, type)
+        clearTimeout(timer)
+        const controller = createAbortController()
+        return run(controller, () => new Promise(resolve => {
+          timer = setTimeout(resolve, wait)
+        }).then(() => handler(payload, controller.signal, trace)))
+      }
+    case 'throttle':
+      return (payload, trace) => {
+        const now = Date.now()
+        if (now - lastRun < wait) return Promise.reject(createCancelledError(type))
+        lastRun = now
+        const controller = createAbortController()
+        return run(controller, () => handler(payload, controller.signal, trace))
+      }
+    default:
+      return (payload, trace) => handler(payload, createAbortController().signal, trace)
+  }
+}
+
+export function createCancelledError (type) {
+  const error = new Error(`[vuex] action "${type}" was cancelled by a newer dispatch.`)
+  error.name = 'ActionCancelledError'
+  error._isVuexCancelled = true
+  return error
+}
+
+// 判断 dispatch 返回的 Promise 是否是因为被新的调用取代而 reject
+export function isCancelledError (err) {
+  return !!err && err._isVuexCancelled === true
+}
+
+// 被取消时立即以 cancelled error 结束，不再等待处理函数的结果
+function guard (res, controller, type) {
+  return new Promise((resolve, reject) => {
+    const { signal } = controller
+    const onAbort = () => reject(createCancelledError(type))
+    if (signal.aborted) return onAbort()
+    signal.addEventListener('abort', onAbort)
+    const cleanup = () => signal.removeEventListener('abort', onAbort)
+    res.then(val => {
+      cleanup()
+      resolve(val)
+    }, err => {
+      cleanup()
+      reject(err)
+    })
+  })
+}
+
+function abort (controller, type) {
+  controller.abort(createCancelledError(type))
+}
+
+function createAbortController () {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController()
+  }
+
+  // minimal fallback for environments without AbortController
+  const listeners = []
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: (name, fn) => listeners.push(fn),
+    removeEventListener: (name, fn) => {
+      const i = listeners.indexOf(fn)
+      if (i > -1) listeners.splice(i, 1)
+    }
+  }
+  return {
+    signal,
+    abort (reason) {
+      if (signal.aborted) return
+      signal.aborted = true
+      signal.reason = reason
+      listeners.slice().forEach(fn => fn())
+    }
+  }
+}
@@ -0,0 +1,149 @@
+import { assert } from './util'
+
+/**
+ * Create a namespaced module which caches the results of an async fetch function by key.
+ *
+ * - dispatch('fetch', params): always requests, in-flight requests of the same key are shared
+ * - dispatch('load', params): returns cached data when it is fresh; when it is stale, returns
+ *   the stale data and refreshes it in the background (stale-while-revalidate)
+ * - dispatch('invalidate', { key } | { prefix }): marks entries as stale
+ *
+ * 创建一个按 key 缓存异步请求结果的 namespaced module，提供请求去重以及 stale-while-revalidate
+ *
+ * @param {Object} options
+ * @param {Function} options.fetch - (context, params) => Promise, the context is the module's action context
+ * @param {Function} [options.key] - params => String, defaults to JSON.stringify
+ * @param {Number} [options.staleTime] - milliseconds before an entry becomes stale, defaults to 0
+ * @return {Object}
+ */
+export function createResourceModule ({
+  fetch: fetchResource,
+  key = defaultKey,
+  staleTime = 0
+} = {}) {
+  if (__DEV__) {
+    assert(typeof fetchResource === 'function', `createResourceModule requires a fetch function.`)
+  }
+
+  // 正在进行的请求，按 store 区分，避免多个 store（如 SSR 中每个请求一个 store）共享请求
+  const pendingByStore = new WeakMap() // store => { key => Promise }
+
+  const isStale = (entry, now) => !entry ||
+    entry.invalidated ||
+    entry.updatedAt === null ||
+    now - entry.updatedAt >= staleTime
+
+  return {
+    namespaced: true,
+
+    state: () => ({
+      entries: {} // key => { data, error, loading, updatedAt, invalidated }
+    }),
+
+    getters: {
+      entry: state => params => state.entries[key(params)],
+      data: state => params => {
+        const entry = state.entries[key(params)]
+        return entry ? entry.data : undefined
+      },
+      isLoading: state => params => {
+        const entry = state.entries[key(params)]
+        return !!entry && entry.loading
+      },
+      isStale: state => params => isStale(state.entries[key(params)], Date.now())
+    },
+
+    mutations: {
+      start (state, { key }) {
+        setEntry(state, key, { loading: true, error: null })
+      },
+      success (state, { key, data, time }) {
+        setEntry(state, key, { data, loading: false, error: null, updatedAt: time, invalidated: false })
+      },
+      failure (state, { key, error }) {
+        setEntry(state, key, { loading: false, error })
+      },
+      invalidate (state, { key, prefix } = {}) {
+        const entries = Object.assign({}, state.entries)
+        Object.keys(entries).forEach(k => {
+          // key 和 prefix 都不传时使所有缓存失效
+          const hit = key !== undefined
+            ? k === key
+            : prefix === undefined || k.indexOf(prefix) === 0
+          if (hit) {
+            entries[k] = Object.assign({}, entries[k], { invalidated: true })
+          }
+        })
+        state.entries = entries
+      },
+      remove (state, { key }) {
+        const entries = Object.assign({}, state.entries)
+        delete entries[key]
+        state.entries = entries
+      }
+    },
+
+    actions: {
+      fetch (context, params) {
+        // action 的执行上下文为 root store
+        let pending = pendingByStore.get(this)
+        if (!pending) {
+          pendingByStore.set(this, pending = Object.create(null))
+        }
+        const k = key(params)
+        // 相同 key 的请求正在进行时，复用该请求
+        if (pending[k]) {
+          return pending[k]
+        }
+
+        context.commit('start', { key: k })
+        const request = pending[k] = Promise.resolve(fetchResource(context, params)).then(data => {
+          delete pending[k]
+          context.commit('success', { key: k, data, time: Date.now() })
+          return data
+        }, error => {
+          delete pending[k]
+          context.commit('failure', { key: k, error })
+          throw error
+        })
+        return request
+      },
+
+      load ({ state, dispatch }, params) {
+        const entry = state.entries[key(params)]
+        if (!isStale(entry, Date.now())) {
+          return Promise.resolve(entry.data)
+        }
+        // 存在过期数据时立即返回，并在后台重新请求
+        if (entry && entry.updatedAt !== null) {
+          dispatch('fetch', params).catch(() => {}) // 错误会记录在 entry.error 中
+          return Promise.resolve(entry.data)
+        }
+        return dispatch('fetch', params)
+      },
+
+      invalidate ({ commit }, options) {
+        commit('invalidate', options)
+      }
+    }
+  }
+}
+
+function defaultKey (params) {
+  if (params === undefined) return ''
+  return typeof params === 'string' ? params : JSON.stringify(params)
+}
+
+// 替换整个 entries 对象，新增的 key 同样是响应式的
+function setEntry (state, key, patch) {
+  const entry = state.entries[key] || {
+    data: undefined,
+    error: null,
+    loading: false,
+    updatedAt: null,
+    invalidated: false
+  }
+  state.entries = Object.assign({}, state.entries, {
+    [key]: Object.assign({}, entry, patch)
+  })
+}
@@ -0,0 +1,82 @@
+/**
+ * Sync the current route of vue-router into a namespaced store module.
+ * The module state holds name, path, hash, query, params, fullPath, meta and the previous route (from),
+ * and is updated through the `changed` mutation after every navigation.
+ * When the module state is replaced (e.g. time-travel through store.replaceState()),
+ * the router navigates to the stored route.
+ *
+ * 将 vue-router 的当前路由同步到 store 的 namespaced module 中，每次导航完成后通过 changed mutation 更新
+ * module 的 state 被替换时（如通过 replaceState 进行时间旅行），路由会跳转到 state 中的路由
+ *
+ * @param {Store} store
+ * @param {VueRouter} router
+ * @param {Object} [options]
+ * @param {String} [options.moduleName] - defaults to 'route'
+ * @return {Function} unsync
+ */
+export function syncRouter (store, router, { moduleName = 'route' } = {}) {
+  store.registerModule(moduleName, {
+    namespaced: true,
+    state: cloneRoute(router.currentRoute),
+    mutations: {
+      changed (state, { to, from }) {
+        Object.assign(state, cloneRoute(to, from))
+      }
+    }
+  })
+
+  let isTimeTraveling = false // 正在跳转到 state 中的路由，此时导航完成后不再提交 mutation
+  let currentPath = router.currentRoute.fullPath // store 与路由一致时的 fullPath
+
+  // 路由导航完成，同步到 store
+  const unhook = router.afterEach((to, from) => {
+    if (isTimeTraveling) {
+      isTimeTraveling = false
+      // 跳转到 state 中的路由时被 redirect 到其他路由，仍需要同步
+      if (to.fullPath === currentPath) return
+    }
+    currentPath = to.fullPath
+    store.commit(moduleName + '/changed', { to, from })
+  })
+
+  // state 中的路由与当前路由不一致时，说明 state 被替换了，跳转到 state 中的路由
+  const unwatch = store.watch(
+    state => state[moduleName],
+    route => {
+      if (!route || route.fullPath === currentPath) return
+      currentPath = route.fullPath
+      isTimeTraveling = true
+      router.push(route.fullPath, undefined, () => {
+        // 导航被中止或重定向时，将 store 恢复为实际的路由
+        isTimeTraveling = false
+        if (router.currentRoute.fullPath !== currentPath) {
+          currentPath = router.currentRoute.fullPath
+          store.commit(moduleName + '/changed', { to: router.currentRoute, from: null })
+        }
+      })
+    },
+    { sync: true }
+  )
+
+  return function unsync () {
+    unhook()
+    unwatch()
+    if (store.hasModule(moduleName)) {
+      store.unregisterModule(moduleName)
+    }
+  }
+}
+
+function cloneRoute (to, from) {
+  const clone = {
+    name: to.name,
+    path: to.path,
+    hash: to.hash,
+    query: to.query,
+    params: to.params,
+    fullPath: to.fullPath,
+    meta: to.meta
+  }
+  clone.from = from ? cloneRoute(from) : null
+  return clone
+}
@@ -0,0 +1,89 @@
+import { isObject } from './util'
+
+const TYPE_KEY = '__vuex_type'
+
+/**
+ * Encode a state tree into a JSON-safe structure.
+ * Values JSON cannot represent (Date, Map, Set, RegExp, undefined, NaN, Infinity)
+ * are wrapped into tagged objects which decode() turns back into the original types.
+ *
+ * 将 state 编码成可以 JSON 序列化的结构，JSON 无法表示的值会被包装成带有类型标记的对象
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function encode (value) {
+  if (value === undefined) {
+    return tag('undefined')
+  }
+  if (typeof value === 'number' && !isFinite(value)) {
+    return tag('Number', String(value))
+  }
+  if (!isObject(value)) {
+    return value
+  }
+  if (value instanceof Date) {
+    // Invalid Date 调用 toISOString 会抛出 RangeError，编码为 null
+    return tag('Date', isNaN(value.getTime()) ? null : value.toISOString())
+  }
+  if (value instanceof RegExp) {
+    return tag('RegExp', [value.source, value.flags])
+  }
+  if (typeof Map !== 'undefined' && value instanceof Map) {
+    return tag('Map', Array.from(value).map(([k, v]) => [encode(k), encode(v)]))
+  }
+  if (typeof Set !== 'undefined' && value instanceof Set) {
+    return tag('Set', Array.from(value).map(encode))
+  }
+  if (Array.isArray(value)) {
+    return value.map(encode)
+  }
+
+  const res = {}
+  Object.keys(value).forEach(key => {
+    res[key] = encode(value[key])
+  })
+  // 自身带有类型标记字段的普通对象需要转义
+  return TYPE_KEY in value ? tag('Object', res) : res
+}
+
+/**
+ * Decode a structure produced by encode()
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function decode (value) {
+  if (!isObject(value)) {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(decode)
+  }
+
+  const data = value.value
+  switch (value[TYPE_KEY]) {
+    case 'undefined': return undefined
+    case 'Number': return Number(data)
+    case 'Date': return new Date(data === null ? NaN : data)
+    case 'RegExp': return new RegExp(data[0], data[1])
+    case 'Map': return new Map(data.map(([k, v]) => [decode(k), decode(v)]))
+    case 'Set': return new Set(data.map(decode))
+    case 'Object': return decodeObject(data)
+  }
+  return decodeObject(value)
+}
+
+function decodeObject (obj) {
+  const res = {}
+  Object.keys(obj).forEach(key => {
+    res[key] = decode(obj[key])
+  })
+  return res
+}
+
+function tag (type, value) {
+  return value === undefined
+    ? { [TYPE_KEY]: type }
+    : { [TYPE_KEY]: type, value }
+}
@@ -1,7 +1,11 @@
 import applyMixin from './mixin'
 import devtoolPlugin from './plugins/devtool'
 import ModuleCollection from './module/module-collection'
-import { forEachValue, isObject, isPromise, assert, partial } from './util'
+import { forEachValue, isObject, isPromise, assert, partial, clone, getNestedValue } from './util'
+import { applyPolicy, isCancelledError } from './policies'
+import { enableStrictMode } from './strict'
+import { encode, decode } from './serialize'
+import { diff, applyPatch, toPointer } from './patch'
 
 let Vue // bind on install
 
@@ -29,18 +33,34 @@ export class Store {
        // 应用在 store 上的插件，每个插件接收 store 作为唯一参数，可以监听 mutations（用于外部地数据持久化、记录或调试）或者提交 mutation（用于内部数据，例如 websocket 或 某些观察者）
       plugins = [],
        // 严格模式，在严格模式下，任何 mutation 处理函数以外修改 Vuex state 都会抛出错误
-      strict = false
+      strict = false,
+      // 最多保留的 action 调用记录数，用于 store.getTrace()
+      traceLimit = 200
     } = options
 
     // store internal state
     this._committing = false
     this._actions = Object.create(null) // 存放 actions
     this._actionSubscribers = [] // action 订阅者
+    this._traces = [] // action 调用记录
+    this._traceLimit = traceLimit
+    this._traceUid = 0
+    this._parentTrace = null // 在 action 上下文中 dispatch 时，指向发起 dispatch 的 action 的调用记录
     this._mutations = Object.create(null) // 存放 mutations
     this._wrappedGetters = Object.create(null) // 存放 getters
+    this._memoizedGetters = Object.create(null) // 存放按参数缓存结果的 getters
+    this._effects = [] // 存放 module 的 effects
     this._modules = new ModuleCollection(options) // module 收集器
     this._modulesNamespaceMap = Object.create(null)
+    this._lazyModules = Object.create(null) // 尚未加载的 lazy module，key 为其 namespace
     this._subscribers = [] // mutation 订阅者
+    this._moduleSubscribers = [] // module 树变化的订阅者
+    this._patchSubscribers = [] // JSON Patch 订阅者
+    this._patchSnapshot = null // 上一次生成 JSON Patch 时的 state 快照，没有订阅者时为 null
+    this._transaction = null // 正在同步执行的事务
+    this._notifyCount = 0 // 通知订阅者的次数，用于判断事务中的修改是否已经被订阅者观察到
+    this._pendingModules = [] // 新安装的 module，_vm 设置完成后调用其插件以及 onRegister 钩子
+    this._pendingHydration = Object.create(null) // 尚未注册的 module 的 hydrate 数据，key 为 path.join('/')
     this._watcherVM = new Vue()
     this._makeLocalGettersCache = Object.create(null) // namespaced module 对应 getters 代理的缓存
 
@@ -111,22 +131,40 @@ export class Store {
     const mutation = { type, payload }
     const entry = this._mutations[type] // 取出 type 对应的 mutation
     if (!entry) {
+      // 属于尚未加载的 lazy module，加载完成后再提交
+      const loading = this._loadLazyModule(type)
+      if (loading) {
+        loading.then(() => {
+          // 加载完成后仍然不存在时不再重复加载
+          if (!this._mutations[type]) {
+            if (__DEV__) {
+              console.error(`[vuex] unknown mutation type: ${type}`)
+            }
+            return
+          }
+          this.commit(type, payload, options)
+        }, e => reportLazyModuleError(type, e))
+        return
+      }
       if (__DEV__) {
         console.error(`[vuex] unknown mutation type: ${type}`)
       }
       return
     }
+    // 事务中的 mutation 记录修改前的快照，用于只回滚事务自身的修改
+    const before = this._transaction ? clone(this.state) : null
     // 执行对应 mutation 中的所有方法，在方法中可以对 state 进行修改，方法是同步执行的
-    this._withCommit(() => {
-      entry.forEach(function commitIterator (handler) {
-        handler(payload)
+    try {
+      this._withCommit(() => {
+        entry.forEach(function commitIterator (handler) {
+          handler(payload)
+        })
       })
-    })
+    } finally {
+      if (before) recordUndo(this, before)
+    }
 
-    // 通知所有 mutation 订阅者
-    this._subscribers
-      .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
-      .forEach(sub => sub(mutation, this.state /* 最新的 state */))
+    afterCommit(this, mutation)
 
     if (
       __DEV__ &&
@@ -148,15 +186,32 @@ export class Store {
       payload
     } = unifyObjectStyle(_type, _payload)
 
-    const action = { type, payload }
     const entry = this._actions[type] // 取出 type 对应的 action
     if (!entry) {
+      // 属于尚未加载的 lazy module，加载完成后再分发
+      const loading = this._loadLazyModule(type)
+      if (loading) {
+        return loading.then(() => {
+          // 加载完成后仍然不存在时不再重复加载
+          if (!this._actions[type]) {
+            if (__DEV__) {
+              console.error(`[vuex] unknown action type: ${type}`)
+            }
+            return
+          }
+          return this.dispatch(type, payload)
+        })
+      }
       if (__DEV__) {
         console.error(`[vuex] unknown action type: ${type}`)
       }
       return
     }
 
+    // 调用记录，订阅者可以通过 action.trace 获取
+    const trace = createTrace(this, type)
+    const action = { type, payload, trace }
+
     try {
       // 通知所有 action 订阅者
       this._actionSubscribers
@@ -173,12 +228,13 @@ export class Store {
     // type 对应的 action 有多个则将执行结果包装 Promise.all 形成一个新的 Promise
     // 只有一个则直接返回第一个
     const result = entry.length > 1
-      ? Promise.all(entry.map(handler => handler(payload)))
-      : entry[0](payload)
+      ? Promise.all(entry.map(handler => handler(payload, trace)))
+      : entry[0](payload, trace)
 
     // 返回 Promise，让外部可以使用 dispatch('xxx').then()
     return new Promise((resolve, reject) => {
       result.then(res => {
+        finishTrace(trace, 'done')
         try {
           this._actionSubscribers
             .filter(sub => sub.after)
@@ -189,8 +245,10 @@ export class Store {
             console.error(e)
           }
         }
+        runEffects(this, 'action', [action])
         resolve(res)
       }, error => {
+        finishTrace(trace, isCancelledError(error) ? 'cancelled' : 'error', error)
         try {
           this._actionSubscribers
             .filter(sub => sub.error)
@@ -206,6 +264,98 @@ export class Store {
     })
   }
 
+  // API，将 module（默认为根 module）及其子 module 的 state 重置为初始 state
+  // 订阅者会收到一个 type 为 vuex/reset 的 mutation，payload 为 { path }
+  resetState (path = []) {
+    if (typeof path === 'string') path = [path] // 转化成数组
+
+    if (__DEV__) {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+    }
+
+    const module = getModuleByPath(this, path)
+    if (!module) {
+      if (__DEV__) {
+        console.error(`[vuex] cannot reset unregistered module "${path.join('/')}".`)
+      }
+      return
+    }
+
+    // 与 commit 相同，事务中记录重置前的快照，回滚时撤销
+    const before = this._transaction ? clone(this.state) : null
+    setModuleState(this, path, getInitialModuleState(module))
+    if (before) recordUndo(this, before)
+    afterCommit(this, { type: 'vuex/reset', payload: { path } })
+  }
+
+  // API，获取 action 的调用树，每个节点包括 id、parentId、type、start、end、duration、status、error 以及 children
+  // 传入 id 时只返回该次调用及其子调用
+  getTrace (id) {
+    const nodes = Object.create(null)
+    const roots = []
+    this._traces.forEach(trace => {
+      nodes[trace.id] = Object.assign({}, trace, {
+        duration: trace.end === null ? null : trace.end - trace.start,
+        children: []
+      })
+    })
+    this._traces.forEach(trace => {
+      const parent = trace.parentId !== null && nodes[trace.parentId]
+      // 父级调用记录已经被淘汰时作为根节点
+      parent
+        ? parent.children.push(nodes[trace.id])
+        : roots.push(nodes[trace.id])
+    })
+    return id === undefined ? roots : nodes[id]
+  }
+
+  // API，以事务的方式执行 fn，fn 中的所有 commit 要么全部生效，要么全部回滚
+  // 执行期间订阅者不会收到单个 mutation 的通知，结束时会收到一个 type 为 vuex/transaction 的 mutation，payload 为所有 mutation
+  // fn 抛出错误或返回的 Promise 被 reject 时，事务中的 mutation 所做的修改会被撤销
+  // fn 同步执行期间的 commit 都属于事务；fn 返回 Promise 时，异步部分需要通过 fn 接收的 commit 提交，
+  // 其他地方的 commit 不属于事务，会正常通知订阅者，也不会被回滚
+  transaction (fn) {
+    // 嵌套的事务合并到最外层事务中
+    if (this._transaction) {
+      return fn(this._transaction.commit)
+    }
+
+    const transaction = {
+      mutations: [],
+      undo: [], // 每个 mutation 的逆操作（JSON Patch）以及记录时的 _notifyCount
+      commit: (...args) => runInTransaction(this, transaction, () => this.commit(...args))
+    }
+    const finish = failed => {
+      if (failed) {
+        rollback(this, transaction)
+      } else if (transaction.mutations.length) {
+        const mutation = { type: 'vuex/transaction', payload: transaction.mutations }
+        notifySubscribers(this, mutation)
+        notifyPatchSubscribers(this, mutation)
+        runEffects(this, 'mutation', transaction.mutations)
+      }
+    }
+
+    let res
+    try {
+      res = runInTransaction(this, transaction, () => fn(transaction.commit))
+    } catch (e) {
+      finish(true)
+      throw e
+    }
+    if (isPromise(res)) {
+      return res.then(val => {
+        finish(false)
+        return val
+      }, e => {
+        finish(true)
+        throw e
+      })
+    }
+    finish(false)
+    return res
+  }
+
   // 注册一个订阅函数，返回一个取消订阅的函数
   subscribe (fn, options) {
     return genericSubscribe(fn, this._subscribers, options)
@@ -216,6 +366,48 @@ export class Store {
     return genericSubscribe(subs, this._actionSubscribers, options)
   }
 
+  // 订阅 state 的变化，每次 commit 之后 fn 接收描述变化的 JSON Patch（RFC 6902）操作以及对应的 mutation
+  // replaceState、registerModule 等 mutation 以外的 state 变化会包含在下一次 commit 的操作中
+  subscribePatches (fn, options) {
+    if (!this._patchSnapshot) {
+      this._patchSnapshot = clone(this.state)
+    }
+    return genericSubscribe(fn, this._patchSubscribers, options)
+  }
+
+  // API，应用 JSON Patch 操作，例如 subscribePatches 在另一个 store 中生成的操作
+  // 订阅者会收到一个 type 为 vuex/patch 的 mutation，payload 为 ops
+  // 任意一个操作失败时（包括 test 操作）state 会恢复到应用之前
+  applyPatches (ops) {
+    // 单个操作也可能在修改了 state 之后才失败，例如 move 在 remove 之后 add 失败，只有 test 不会修改 state
+    const readonly = ops.every(op => op.op === 'test')
+    const snapshot = readonly ? null : clone(this.state)
+    try {
+      this._withCommit(() => {
+        const state = applyPatch(Vue, this.state, ops)
+        if (state !== this.state) {
+          this._vm._data.$$state = state
+        }
+      })
+    } catch (e) {
+      if (snapshot) this.replaceState(snapshot)
+      throw e
+    }
+    if (snapshot && this._transaction) recordUndo(this, snapshot)
+    afterCommit(this, { type: 'vuex/patch', payload: ops })
+  }
+
+  // 订阅 module 树的变化，registerModule、unregisterModule 以及 hotUpdate 之后触发
+  // fn 接收 { type: 'register' | 'unregister' | 'hotUpdate', path } 以及最新的 module 树
+  subscribeModules (fn, options) {
+    return genericSubscribe(fn, this._moduleSubscribers, options)
+  }
+
+  // API，返回 module 树，供调试工具使用
+  inspect () {
+    return inspectModule(this, this._modules.root, [])
+  }
+
   watch (getter, cb, options) {
     if (__DEV__) {
       assert(typeof getter === 'function', `store.watch only accepts a function.`)
@@ -229,6 +421,40 @@ export class Store {
     })
   }
 
+  // API，将 state 编码成可以 JSON 序列化的数据，用于服务端渲染时传递 state
+  // paths 为需要导出的 module 路径，默认为整个根 state，可以只传入当前页面注册的 module
+  dehydrate (paths = [[]]) {
+    const modules = {}
+    paths.forEach(path => {
+      if (typeof path === 'string') path = path ? [path] : []
+      if (!getModuleByPath(this, path)) {
+        if (__DEV__) {
+          console.error(`[vuex] cannot dehydrate unregistered module "${path.join('/')}".`)
+        }
+        return
+      }
+      modules[path.join('/')] = encode(getNestedValue(this.state, path))
+    })
+    return { modules }
+  }
+
+  // API，恢复 dehydrate 导出的 state
+  // 已注册的 module 立即恢复，尚未注册的 module 会在 registerModule 时恢复
+  hydrate (payload) {
+    const modules = (payload && payload.modules) || {}
+    Object.keys(modules)
+      .map(key => key ? key.split('/') : [])
+      .sort((a, b) => a.length - b.length) // 先恢复父级 module，再恢复子 module
+      .forEach(path => {
+        const state = decode(modules[path.join('/')])
+        if (getModuleByPath(this, path)) {
+          setModuleState(this, path, state)
+        } else {
+          this._pendingHydration[path.join('/')] = state
+        }
+      })
+  }
+
   // API，注册一个 module，当业务进行异步加载的时候，可以通过该接口进行动态注册 module
   registerModule (path, rawModule /* module 定义 */, options = {}) {
     if (typeof path === 'string') path = [path] // 转化成数组
@@ -239,13 +465,26 @@ export class Store {
       assert(path.length > 0, 'cannot register the root module by using registerModule.')
     }
 
+    // hydrate 过但尚未注册的 module，安装后使用 hydrate 的 state
+    // 此时只有 store.state 中已经存在该 module 的 state 时 preserveState 才生效
+    const key = path.join('/')
+    const hydrated = key in this._pendingHydration
+    const hydratedState = this._pendingHydration[key]
+    delete this._pendingHydration[key]
+    const preserveState = options.preserveState &&
+      (!hydrated || path[path.length - 1] in getNestedValue(this.state, path.slice(0, -1)))
+
     // 注册 module
     this._modules.register(path, rawModule)
     // 安装 module
-    installModule(this, this.state, path, this._modules.get(path), options.preserveState)
+    installModule(this, this.state, path, this._modules.get(path), preserveState)
+    if (hydrated) {
+      setModuleState(this, path, hydratedState)
+    }
     // reset store to update getters...
     // 重新设置 store._vm
     resetStoreVM(this, this.state)
+    notifyModuleSubscribers(this, { type: 'register', path })
   }
 
   // API，注销一个 module
@@ -256,15 +495,22 @@ export class Store {
       assert(Array.isArray(path), `module path must be a string or an Array.`)
     }
 
+    // 注销前调用 module 及其子 module 的 onUnregister 钩子，并移除其插件的订阅
+    const module = this._modules.isRegistered(path) && this._modules.get(path)
+    if (module && module.runtime) {
+      unregisterModuleHooks(module)
+    }
+
     // 注销 module
     this._modules.unregister(path)
     // 移除 module 的 state
     this._withCommit(() => {
-      const parentState = getNestedState(this.state, path.slice(0, -1)) // 获取父级 state
+      const parentState = getNestedValue(this.state, path.slice(0, -1)) // 获取父级 state
       Vue.delete(parentState, path[path.length - 1]) // 从父级中删除
     })
     // 重新设置 store._vm
     resetStore(this)
+    notifyModuleSubscribers(this, { type: 'unregister', path })
   }
 
   hasModule (path) {
@@ -277,19 +523,266 @@ export class Store {
     return this._modules.isRegistered(path)
   }
 
-  hotUpdate (newOptions) {
-    this._modules.update(newOptions)
+  // API，热更新 module，新增的 module 会被注册，新增的 state 字段会合并到当前 state 中并保留已有的值
+  // options.prune 为 true 时，移除新配置中不存在的 module
+  // 热更新通常只传入发生变化的部分（如 HMR 时只传入被修改的 module），此时未传入的 module 并没有被删除，
+  // 因此默认不移除任何 module；传入完整的 module 树时使用 { prune: true }
+  hotUpdate (newOptions, options = {}) {
+    // 被移除的 module 同样需要调用 onUnregister 钩子，并移除其插件的订阅
+    const { added, removed } = this._modules.update(newOptions, options.prune, unregisterModuleHooks)
+    this._withCommit(() => {
+      // 移除被删除 module 的 state
+      removed.forEach(path => {
+        const parentState = getNestedValue(this.state, path.slice(0, -1))
+        Vue.delete(parentState, path[path.length - 1])
+      })
+      // 设置新增 module 的 state
+      added.forEach(path => {
+        setModuleState(this, path, getInitialModuleState(this._modules.get(path)))
+      })
+      mergeNewStateKeys(this, [], this._modules.root)
+    })
     resetStore(this, true)
+    notifyModuleSubscribers(this, { type: 'hotUpdate', path: [] })
+  }
+
+  // 如果 type（或 namespace）属于尚未加载的 lazy module，开始加载并返回加载的 Promise，否则返回 null
+  _loadLazyModule (type) {
+    let lazy = null
+    forEachValue(this._lazyModules, (record, namespace) => {
+      if (type.indexOf(namespace) === 0 && (!lazy || namespace.length > lazy.namespace.length)) {
+        lazy = record
+      }
+    })
+    if (!lazy) return null
+
+    // 读取父级 state，使得在 computed 中调用时（如 mapState）能够在 module 注册后重新求值
+    getNestedValue(this.state, lazy.path.slice(0, -1))
+
+    if (!lazy.promise) {
+      lazy.promise = Promise.resolve(lazy.factory()).then(rawModule => {
+        // 兼容 import() 返回的 ES module
+        if (rawModule && rawModule.default) rawModule = rawModule.default
+        const parentPath = lazy.path.slice(0, -1)
+        const key = lazy.path[lazy.path.length - 1]
+        if (__DEV__ && !rawModule.namespaced) {
+          console.warn(`[vuex] lazy module "${lazy.path.join('/')}" should be namespaced.`)
+        }
+        this._modules.get(parentPath).removeLazyChild(key)
+        delete this._lazyModules[lazy.namespace]
+        // 已存在的 state（如服务端渲染时通过 replaceState 注入的 state）不会被初始 state 覆盖
+        this.registerModule(lazy.path, rawModule, {
+          preserveState: key in getNestedValue(this.state, parentPath)
+        })
+      }, error => {
+        lazy.promise = null // 允许下次访问时重试
+        throw error
+      })
+    }
+    return lazy.promise
+  }
+
+  // 开始加载 type（或 namespace）所属的 lazy module，供不关心加载结果的调用方使用
+  // 返回是否存在对应的 lazy module，加载失败时在开发环境下输出错误
+  _preloadLazyModule (type) {
+    const loading = this._loadLazyModule(type)
+    if (loading) {
+      loading.catch(e => reportLazyModuleError(type, e))
+    }
+    return !!loading
   }
 
   // 保证在执行 fn 时，_committing 为 true
   // 应该确保 state 的修改只能通过 mutation，在严格模式开启的情况下，外部对 state 的直接修改将会抛出错误
+  // fn 抛出错误时（如 mutation 或 JSON Patch 操作失败）同样需要恢复，否则严格模式会一直处于关闭状态
   _withCommit (fn) {
     const committing = this._committing
     this._committing = true
-    fn()
-    this._committing = committing
+    try {
+      fn()
+    } finally {
+      this._committing = committing
+    }
+  }
+}
+
+// mutation 执行完成之后通知订阅者并执行 effects，事务中的 mutation 在事务结束时统一通知
+function afterCommit (store, mutation) {
+  if (store._transaction) {
+    store._transaction.mutations.push(mutation)
+  } else {
+    store._notifyCount++
+    // 通知所有 mutation 订阅者
+    notifySubscribers(store, mutation)
+    notifyPatchSubscribers(store, mutation)
+    runEffects(store, 'mutation', [mutation])
+  }
+}
+
+// 在 transaction 中同步执行 fn，期间的 commit 都属于该事务
+function runInTransaction (store, transaction, fn) {
+  const prev = store._transaction
+  store._transaction = transaction
+  try {
+    return fn()
+  } finally {
+    store._transaction = prev
+  }
+}
+
+// 记录事务中一次修改的逆操作，before 为修改前 state 的副本
+function recordUndo (store, before) {
+  const ops = diff(store.state, before)
+  if (ops.length) {
+    store._transaction.undo.push({ ops, notifyCount: store._notifyCount })
+  }
+}
+
+// 倒序撤销事务中的修改，其他 mutation 修改过的路径可能已经无法撤销，此时跳过对应的操作
+// 订阅者已经观察到的修改（之后有其他 mutation 通知了订阅者）以 vuex/patch 的形式通知撤销
+function rollback (store, transaction) {
+  const exposed = []
+  store._withCommit(() => {
+    transaction.undo.slice().reverse().forEach(({ ops, notifyCount }) => {
+      ops.forEach(op => {
+        try {
+          const state = applyPatch(Vue, store.state, [op])
+          if (state !== store.state) {
+            store._vm._data.$$state = state
+          }
+        } catch (e) {
+          return
+        }
+        if (store._notifyCount > notifyCount) exposed.push(op)
+      })
+    })
+  })
+  if (exposed.length) {
+    afterCommit(store, { type: 'vuex/patch', payload: exposed })
+  }
+}
+
+// lazy module 加载失败
+function reportLazyModuleError (type, e) {
+  if (__DEV__) {
+    console.error(`[vuex] failed to load the lazy module for "${type}".`)
+    console.error(e)
+  }
+}
+
+// 通知所有 mutation 订阅者
+function notifySubscribers (store, mutation) {
+  store._subscribers
+    .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
+    .forEach(sub => sub(mutation, store.state /* 最新的 state */))
+}
+
+// 对比快照生成 JSON Patch 操作并通知订阅者
+function notifyPatchSubscribers (store, mutation) {
+  if (!store._patchSubscribers.length) {
+    store._patchSnapshot = null // 所有订阅者都已取消订阅
+    return
   }
+  const ops = diff(store._patchSnapshot, store.state)
+  store._patchSnapshot = clone(store.state)
+  if (!ops.length) return
+  store._patchSubscribers
+    .slice()
+    .forEach(sub => sub(ops, mutation))
+}
+
+// 通知所有 module 树变化的订阅者
+function notifyModuleSubscribers (store, event) {
+  if (!store._moduleSubscribers.length) return
+  const tree = store.inspect()
+  store._moduleSubscribers
+    .slice()
+    .forEach(sub => sub(event, tree))
+}
+
+// 生成 module 的描述信息，包括 namespace、是否动态注册以及 state、mutation、action、getter 的名称
+function inspectModule (store, module, path) {
+  const keys = fn => {
+    const res = []
+    fn.call(module, (value, key) => res.push(key))
+    return res
+  }
+  const state = getNestedValue(store.state, path)
+  const children = []
+  module.forEachChild((child, key) => {
+    children.push(inspectModule(store, child, path.concat(key)))
+  })
+  module.forEachLazyChild((lazy, key) => {
+    // 尚未加载的 lazy module 只有 path 和 namespace 信息
+    children.push({ path: path.concat(key), namespace: lazy.namespace, lazy: true })
+  })
+
+  return {
+    path,
+    namespace: store._modules.getNamespace(path),
+    namespaced: module.namespaced,
+    dynamic: !!module.runtime,
+    lazy: false,
+    // module 自身的 state 字段，不包括子 module 的 state
+    state: isObject(state) ? Object.keys(state).filter(key => !module.hasChild(key)) : [],
+    mutations: keys(module.forEachMutation),
+    actions: keys(module.forEachAction),
+    getters: keys(module.forEachGetter),
+    children
+  }
+}
+
+// 执行与 mutation（或 action）type 匹配的 effects
+function runEffects (store, kind, list) {
+  if (!store._effects.length) return
+  list.forEach(item => {
+    store._effects
+      .slice()
+      .filter(effect => effect.on === kind && effect.pattern.test(item.type))
+      .forEach(effect => {
+        try {
+          const res = effect.handler(item)
+          if (isPromise(res)) {
+            res.then(null, e => reportEffectError(effect, e))
+          }
+        } catch (e) {
+          reportEffectError(effect, e)
+        }
+      })
+  })
+}
+
+function reportEffectError (effect, e) {
+  if (__DEV__) {
+    console.warn(`[vuex] error in effect "${effect.key}": `)
+    console.error(e)
+  }
+}
+
+// 创建 action 的调用记录
+function createTrace (store, type) {
+  const parent = store._parentTrace
+  store._parentTrace = null // 只对本次 dispatch 生效
+  const trace = {
+    id: ++store._traceUid,
+    parentId: parent ? parent.id : null,
+    type,
+    start: Date.now(),
+    end: null,
+    status: 'pending', // pending | done | error | cancelled
+    error: null
+  }
+  store._traces.push(trace)
+  if (store._traces.length > store._traceLimit) {
+    store._traces.shift()
+  }
+  return trace
+}
+
+function finishTrace (trace, status, error) {
+  trace.end = Date.now()
+  trace.status = status
+  trace.error = error || null
 }
 
 // 注册一个订阅函数，返回一个取消订阅的函数
@@ -311,7 +804,10 @@ function resetStore (store, hot) {
   store._actions = Object.create(null)
   store._mutations = Object.create(null)
   store._wrappedGetters = Object.create(null)
+  store._memoizedGetters = Object.create(null)
+  store._effects = []
   store._modulesNamespaceMap = Object.create(null)
+  store._lazyModules = Object.create(null)
   const state = store.state
   // init all modules
   installModule(store, state, [], store._modules.root, true)
@@ -359,6 +855,18 @@ function resetStoreVM (store, state, hot) {
   })
   Vue.config.silent = silent
 
+  // 按参数缓存结果的 getter，每组参数对应一个 lazy watcher，与 computed 一样在依赖变化时标记为 dirty
+  if (Object.keys(store._memoizedGetters).length) {
+    const Watcher = getWatcherClass(store._vm)
+    forEachValue(store._memoizedGetters, (getter, key) => {
+      const memoizedGetter = createMemoizedGetter(store, Watcher, getter)
+      Object.defineProperty(store.getters, key, {
+        get: () => memoizedGetter,
+        enumerable: true // for local getters
+      })
+    })
+  }
+
   // enable strict mode for new vm
   // 启用了严格模式，确保修改 store 只能通过 mutation
   if (store.strict) {
@@ -377,6 +885,38 @@ function resetStoreVM (store, state, hot) {
     }
     Vue.nextTick(() => oldVm.$destroy())
   }
+
+  // 调用新安装的 module 的插件以及 onRegister 钩子，此时 module 的 getters 已经可用
+  const modules = store._pendingModules
+  store._pendingModules = []
+  modules.forEach(registerModuleHooks)
+}
+
+// 调用 module 的插件以及 onRegister 钩子，插件返回的函数会在 module 注销时调用
+function registerModuleHooks (module) {
+  const scopedStore = module.scopedStore
+  module.forEachPlugin(plugin => {
+    const cleanup = plugin(scopedStore)
+    if (typeof cleanup === 'function') {
+      scopedStore._disposers.push(cleanup)
+    }
+  })
+  const onRegister = module.getHook('onRegister')
+  if (onRegister) {
+    onRegister(scopedStore)
+  }
+}
+
+// 先注销子 module，调用 onUnregister 钩子后移除通过 scopedStore 注册的订阅
+function unregisterModuleHooks (module) {
+  module.forEachChild(unregisterModuleHooks)
+  const scopedStore = module.scopedStore
+  if (!scopedStore) return
+  const onUnregister = module.getHook('onUnregister')
+  if (onUnregister) {
+    onUnregister(scopedStore)
+  }
+  scopedStore._disposers.splice(0).forEach(dispose => dispose())
 }
 
 // 安装 module
@@ -397,7 +937,7 @@ function installModule (store, rootState, path, module, hot) {
   // set state
   // 将子 module 的 state 设置到父 state 上，并使其为响应式
   if (!isRoot && !hot) {
-    const parentState = getNestedState(rootState, path.slice(0, -1)) // 获取父级 state
+    const parentState = getNestedValue(rootState, path.slice(0, -1)) // 获取父级 state
     const moduleName = path[path.length - 1] // module 名称
     store._withCommit(() => {
       if (__DEV__) {
@@ -415,6 +955,13 @@ function installModule (store, rootState, path, module, hot) {
   // 构造 module 局部上下文环境
   const local = module.context = makeLocalContext(store, namespace, path)
 
+  // 首次安装的子 module 创建作用域为该 module 的 store，供 module 的插件以及生命周期钩子使用
+  // 根 module 的 plugins 即 store 的 plugins，不在这里处理
+  if (!isRoot && !module.scopedStore) {
+    module.scopedStore = makeScopedStore(store, module, path)
+    store._pendingModules.push(module)
+  }
+
   // 遍历注册 module 的 mutation
   module.forEachMutation((mutation, key) => {
     const namespacedType = namespace + key // 拼接 type
@@ -425,7 +972,7 @@ function installModule (store, rootState, path, module, hot) {
   module.forEachAction((action, key) => {
     const type = action.root ? key : namespace + key // 拼接 type
     const handler = action.handler || action // action 支持对象形式
-    registerAction(store, type, handler, local)
+    registerAction(store, type, handler, local, typeof action === 'object' ? action : undefined)
   })
 
   // 遍历注册 module 的 getter
@@ -434,6 +981,18 @@ function installModule (store, rootState, path, module, hot) {
     registerGetter(store, namespacedType, getter, local)
   })
 
+  // 遍历注册 module 的 effect，module 注销时随 resetStore 一起移除
+  module.forEachEffect((effect, key) => {
+    registerEffect(store, key, effect, local)
+  })
+
+  // 记录尚未加载的子 module，lazy module 总是以 key 作为 namespace
+  module.forEachLazyChild((lazy, key) => {
+    lazy.path = path.concat(key)
+    lazy.namespace = namespace + key + '/'
+    store._lazyModules[lazy.namespace] = lazy
+  })
+
   // 递归安装 module
   module.forEachChild((child, key) => {
     installModule(store, rootState, path.concat(key) /* 拼接 path */, child, hot)
@@ -460,8 +1019,11 @@ function makeLocalContext (store, namespace, path) {
 
       if (!options || !options.root) {
         type = namespace + type // type 拼接 namespace
-        if (__DEV__ && !store._actions[type]) {
-          console.error(`[vuex] unknown local action type: ${args.type}, global type: ${type}`)
+        // 属于尚未加载的 lazy module 时由 store.dispatch 在加载完成后分发
+        if (!store._actions[type] && !store._preloadLazyModule(type)) {
+          if (__DEV__) {
+            console.error(`[vuex] unknown local action type: ${args.type}, global type: ${type}`)
+          }
           return
         }
       }
@@ -478,8 +1040,11 @@ function makeLocalContext (store, namespace, path) {
 
       if (!options || !options.root) {
         type = namespace + type // type 拼接 namespace
-        if (__DEV__ && !store._mutations[type]) {
-          console.error(`[vuex] unknown local mutation type: ${args.type}, global type: ${type}`)
+        // 属于尚未加载的 lazy module 时由 store.commit 在加载完成后提交
+        if (!store._mutations[type] && !store._preloadLazyModule(type)) {
+          if (__DEV__) {
+            console.error(`[vuex] unknown local mutation type: ${args.type}, global type: ${type}`)
+          }
           return
         }
       }
@@ -498,13 +1063,102 @@ function makeLocalContext (store, namespace, path) {
         : () => makeLocalGetters(store, namespace)
     },
     state: {
-      get: () => getNestedState(store.state, path)
+      get: () => getNestedValue(store.state, path)
     }
   })
 
   return local
 }
 
+/**
+ * make a store facade scoped to the module for module plugins and lifecycle hooks
+ * state, getters, commit and dispatch are localized like the action context,
+ * subscribe, subscribeAction and watch only see the module's namespace
+ * and are removed when the module is unregistered
+ *
+ * 构造作用域为 module 的 store，state、getters、commit 和 dispatch 与 action 上下文相同
+ * subscribe 和 subscribeAction 只接收 module 的 namespace 下的 mutation 和 action，module 注销时自动取消订阅
+ */
+function makeScopedStore (store, module, path) {
+  const disposers = []
+  const track = unsubscribe => {
+    disposers.push(unsubscribe)
+    return unsubscribe
+  }
+  const namespace = () => store._modules.getNamespace(path)
+  const inNamespace = type => type.indexOf(namespace()) === 0
+
+  const scopedStore = {
+    path,
+    store, // 根 store
+    _disposers: disposers,
+
+    commit: (type, payload, options) => module.context.commit(type, payload, options),
+    dispatch: (type, payload, options) => module.context.dispatch(type, payload, options),
+
+    // fn 接收 mutation 以及 module 的 state
+    subscribe: (fn, options) => track(store.subscribe((mutation, state) => {
+      const scoped = scopeMutation(mutation, path, inNamespace)
+      if (scoped) {
+        fn(scoped, getNestedValue(state, path))
+      }
+    }, options)),
+
+    subscribeAction: (fn, options) => {
+      const subs = typeof fn === 'function' ? { before: fn } : fn
+      const scopedSubs = {}
+      forEachValue(subs, (sub, key) => {
+        scopedSubs[key] = (action, state, error) => {
+          if (inNamespace(action.type)) {
+            sub(action, getNestedValue(state, path), error)
+          }
+        }
+      })
+      return track(store.subscribeAction(scopedSubs, options))
+    },
+
+    watch: (getter, cb, options) => track(store.watch(
+      () => getter(module.context.state, module.context.getters),
+      cb,
+      options
+    )),
+
+    // 替换 module 的 state，例如恢复持久化的数据
+    replaceState: state => setModuleState(store, path, state)
+  }
+
+  Object.defineProperties(scopedStore, {
+    namespace: { get: namespace },
+    state: { get: () => module.context.state },
+    getters: { get: () => module.context.getters }
+  })
+
+  return scopedStore
+}
+
+// 返回与 module 相关的 mutation，不相关时返回 null
+// 事务只保留其中与 module 相关的 mutation，vuex/reset 以及 vuex/patch 根据修改的路径判断
+function scopeMutation (mutation, path, inNamespace) {
+  const pointer = toPointer(path)
+  const related = other => other === pointer ||
+    other.indexOf(pointer + '/') === 0 ||
+    pointer.indexOf(other + '/') === 0
+  switch (mutation.type) {
+    case 'vuex/transaction': {
+      const payload = mutation.payload.filter(m => scopeMutation(m, path, inNamespace))
+      return payload.length ? { type: mutation.type, payload } : null
+    }
+    case 'vuex/reset':
+      return related(toPointer(mutation.payload.path)) ? mutation : null
+    case 'vuex/patch':
+      return mutation.payload.some(op => related(op.path) || (op.from !== undefined && related(op.from)))
+        ? mutation
+        : null
+    default:
+      return inNamespace(mutation.type) ? mutation : null
+  }
+}
+
 // 构造局部上下文环境 getters
 function makeLocalGetters (store, namespace) {
   if (!store._makeLocalGettersCache[namespace]) {
@@ -543,17 +1197,31 @@ function registerMutation (store, type, handler /* mutation 处理函数 */, loc
 }
 
 // 注册 action
-function registerAction (store, type, handler /* action 处理函数 */, local) {
+function registerAction (store, type, handler /* action 处理函数 */, local, options /* 对象形式 action 的配置，如 policy、wait */) {
   // 所有的 action 将会被添加到 store._actions 对象中，同一 type 的 _actions 可以对应多个方法
   const entry = store._actions[type] || (store._actions[type] = [])
-  entry.push(function wrappedActionHandler (payload) {
+  // 根据 policy 包装处理函数，处理并发调用以及取消
+  entry.push(applyPolicy(function wrappedActionHandler (payload, signal, trace) {
+    // 通过上下文 dispatch 的 action 会记录本次调用为其父级调用
+    const dispatch = trace
+      ? (...args) => {
+        const parent = store._parentTrace
+        store._parentTrace = trace
+        try {
+          return local.dispatch(...args)
+        } finally {
+          store._parentTrace = parent
+        }
+      }
+      : local.dispatch
     let res = handler.call(store /* action 执行上下文，为 root store */, {
-      dispatch: local.dispatch, // module 对应的 dispatch
+      dispatch, // module 对应的 dispatch
       commit: local.commit, // module 对应的 commit
       getters: local.getters, // module 对应的 getters
       state: local.state, // module 对应的 state
       rootGetters: store.getters, // 根 getters
-      rootState: store.state // 根 state
+      rootState: store.state, // 根 state
+      signal // 调用被取代时触发的 AbortSignal
     }, payload)
     if (!isPromise(res)) { // 让处理函数返回的结果 promise 化
       res = Promise.resolve(res)
@@ -566,39 +1234,143 @@ function registerAction (store, type, handler /* action 处理函数 */, local)
     } else {
       return res
     }
+  }, type, options))
+}
+
+// 注册 effect
+// key 为匹配的 type，支持通配符，如 cart/*，匹配的是全局 type
+// effect 可以是函数，也可以是 { handler, on: 'mutation' | 'action' } 形式的对象，默认响应 mutation
+function registerEffect (store, key, effect, local) {
+  const handler = effect.handler || effect
+  store._effects.push({
+    key,
+    on: effect.on || 'mutation',
+    pattern: new RegExp('^' + key.split('*').map(escapeRegExp).join('.*') + '$'),
+    handler: item => handler.call(store, {
+      dispatch: local.dispatch, // module 对应的 dispatch
+      commit: local.commit, // module 对应的 commit
+      getters: local.getters, // module 对应的 getters
+      state: local.state, // module 对应的 state
+      rootGetters: store.getters, // 根 getters
+      rootState: store.state // 根 state
+    }, item /* 触发 effect 的 mutation 或 action */)
   })
 }
 
+function escapeRegExp (str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
 // 注册 getter
+// getter 支持对象形式 { handler, memoize: true, max, key }，此时 handler 返回的函数的结果会按参数缓存
 function registerGetter (store, type, rawGetter, local) {
-  if (store._wrappedGetters[type]) {
+  if (store._wrappedGetters[type] || store._memoizedGetters[type]) {
     if (__DEV__) {
       console.error(`[vuex] duplicate getter key: ${type}`)
     }
     return
   }
-  store._wrappedGetters[type] = function wrappedGetter (store) {
-    return rawGetter(
+  const options = typeof rawGetter === 'function' ? null : rawGetter
+  const handler = options ? options.handler : rawGetter
+  const wrappedGetter = function wrappedGetter (store) {
+    return handler(
       local.state, // module 对应的 state
       local.getters, // module 对应的 getters
       store.state, // 根 state
       store.getters // 根 getters
     )
   }
+  if (options && options.memoize) {
+    store._memoizedGetters[type] = {
+      getter: wrappedGetter,
+      max: options.max || 100, // 最多缓存的参数组数，超出时淘汰最久未使用的
+      key: options.key || defaultMemoizeKey // 根据参数生成缓存的 key
+    }
+  } else {
+    store._wrappedGetters[type] = wrappedGetter
+  }
 }
 
-// 启用严格模式，确保 state 的修改只能通过 mutation
-function enableStrictMode (store) {
-  store._vm.$watch(function () { return this._data.$$state }, () => {
-    if (__DEV__) {
-      assert(store._committing, `do not mutate vuex store state outside mutation handlers.`)
+// 生成按参数缓存结果的 getter 函数，缓存使用 LRU 策略
+function createMemoizedGetter (store, Watcher, { getter, max, key }) {
+  const vm = store._vm
+  const cache = new Map() // Map 按插入顺序遍历，第一个即为最久未使用的
+  return function memoizedGetter (...args) {
+    const id = key(args)
+    let watcher = cache.get(id)
+    if (watcher) {
+      cache.delete(id)
+    } else {
+      watcher = new Watcher(vm, () => getter(store).apply(null, args), noop, { lazy: true })
+      if (cache.size >= max) {
+        const oldest = cache.keys().next().value
+        cache.get(oldest).teardown()
+        cache.delete(oldest)
+      }
+    }
+    cache.set(id, watcher)
+    // 与 computed 的 getter 相同，依赖变化后重新求值，并将依赖收集到当前的 watcher 中
+    if (watcher.dirty) {
+      watcher.evaluate()
+    }
+    watcher.depend()
+    return watcher.value
+  }
+}
+
+function defaultMemoizeKey (args) {
+  return args.length === 1 && !isObject(args[0]) ? args[0] : JSON.stringify(args)
+}
+
+// Vue 没有暴露 Watcher 类，通过 $watch 创建的 watcher 获取
+function getWatcherClass (vm) {
+  const unwatch = vm.$watch(noop, noop)
+  const Watcher = vm._watchers[vm._watchers.length - 1].constructor
+  unwatch()
+  return Watcher
+}
+
+function noop () {}
+
+// 根据 path 获取 module，不存在时返回 undefined
+function getModuleByPath (store, path) {
+  return path.reduce((module, key) => module && module.getChild(key), store._modules.root)
+}
+
+// 递归生成 module 及其子 module 的初始 state
+function getInitialModuleState (module) {
+  const state = module.getInitialState()
+  module.forEachChild((child, key) => {
+    state[key] = getInitialModuleState(child)
+  })
+  return state
+}
+
+// 将 module 初始 state 中新增的字段合并到当前 state 中，已有的字段保持不变
+function mergeNewStateKeys (store, path, module) {
+  const state = getNestedValue(store.state, path)
+  if (!isObject(state)) return
+  const initialState = module.getInitialState()
+  Object.keys(initialState).forEach(key => {
+    if (!(key in state)) {
+      Vue.set(state, key, initialState[key])
     }
-  }, { deep: true, sync: true }) // 使用了 deep 选项，会有一定性能开销，通常只在开发环境开启严格模式
+  })
+  module.forEachChild((child, key) => {
+    mergeNewStateKeys(store, path.concat(key), child)
+  })
 }
 
-// 获取 module 下的 state
-function getNestedState (state, path) {
-  return path.reduce((state, key) => state[key], state)
+// 替换 module 的 state
+function setModuleState (store, path, state) {
+  if (!path.length) {
+    store.replaceState(state)
+    return
+  }
+  store._withCommit(() => {
+    const parentState = getNestedValue(store.state, path.slice(0, -1))
+    Vue.set(parentState, path[path.length - 1], state)
+  })
 }
 
 function unifyObjectStyle (type, payload, options) {
@@ -0,0 +1,165 @@
+import { isObject } from './util'
+
+let uid = 0
+
+/**
+ * Strict mode that does not traverse the whole state tree on every change.
+ * Every reactive dependency of the state tree gets a lightweight subscriber,
+ * so that a write outside of a mutation is reported with its exact path and
+ * the stack trace of the write. The tree is walked once when strict mode is
+ * enabled; afterwards only the values written inside mutations are walked.
+ *
+ * 严格模式，确保 state 的修改只能通过 mutation
+ * 不再使用 deep watcher（每次修改都会遍历整个 state 树），而是直接向 state 中每个响应式属性的 dep 添加订阅者，
+ * 开销只与写入次数以及新写入的值的大小有关
+ */
+export function enableStrictMode (store) {
+  if (!__DEV__) return
+
+  const data = store._vm._data
+  const Dep = data.__ob__.dep.constructor // 借助 Observer 实例拿到 Vue 内部的 Dep 类
+
+  // replaceState 时重新标记新的根 state
+  const rootDep = captureDep(Dep, data, '$$state')
+  if (rootDep) {
+    rootDep.addSub(createSub(() => {
+      if (store._committing) {
+        instrument(store, Dep, store.state, null, null)
+      } else {
+        report(store, [], null)
+      }
+    }))
+  }
+
+  instrument(store, Dep, store.state, null, null)
+}
+
+// 为一个对象（或数组）以及其所有子对象添加订阅者，已经标记过的对象只更新其在 state 树中的位置
+function instrument (store, Dep, value, parent, key) {
+  const ob = value.__ob__
+  if (!ob) return // 非响应式对象，如 Object.freeze 过的对象
+
+  let node = ob.vuexStrictNode
+  if (node && node.store === store) {
+    node.parent = parent
+    node.key = key
+    return
+  }
+
+  node = ob.vuexStrictNode = {
+    store,
+    value,
+    parent,
+    key,
+    deps: Object.create(null) // 已添加订阅者的属性 dep
+  }
+
+  // Vue.set、Vue.delete 以及数组变异方法会通知 __ob__.dep
+  ob.dep.addSub(createSub(() => {
+    if (store._committing) {
+      scan(store, Dep, node)
+    } else {
+      report(store, getPath(store, node), null)
+    }
+  }))
+
+  scan(store, Dep, node)
+}
+
+function scan (store, Dep, node) {
+  const { value } = node
+  if (Array.isArray(value)) {
+    // 数组的索引不是响应式的，只需要处理数组项
+    value.forEach(item => {
+      if (isObject(item)) instrument(store, Dep, item, node, null)
+    })
+    return
+  }
+
+  Object.keys(value).forEach(key => {
+    const dep = captureDep(Dep, value, key)
+    if (dep && node.deps[key] !== dep) {
+      node.deps[key] = dep
+      dep.addSub(createSub(() => {
+        if (store._committing) {
+          // mutation 中写入的新值需要重新标记
+          const child = node.value[key]
+          if (isObject(child)) instrument(store, Dep, child, node, key)
+        } else {
+          report(store, getPath(store, node), key)
+        }
+      }))
+    }
+    const child = value[key]
+    if (isObject(child)) instrument(store, Dep, child, node, key)
+  })
+}
+
+// 读取属性时将 Dep.target 替换成收集器，reactiveGetter 第一个收集到的即为该属性的 dep
+function captureDep (Dep, obj, key) {
+  const property = Object.getOwnPropertyDescriptor(obj, key)
+  if (!property || !property.get) return null
+
+  let captured = null
+  const target = Dep.target
+  Dep.target = {
+    addDep (dep) {
+      if (!captured) captured = dep
+    }
+  }
+  try {
+    obj[key] // eslint-disable-line no-unused-expressions
+  } finally {
+    Dep.target = target
+  }
+  return captured
+}
+
+// dep.notify() 只会调用订阅者的 update 方法，并按 id 排序
+function createSub (update) {
+  return { id: ++uid, update }
+}
+
+// 获取 node 在当前 state 树中的路径，已经从 state 树中移除时返回 null
+function getPath (store, node) {
+  const path = []
+  while (node.parent) {
+    const parentValue = node.parent.value
+    const key = Array.isArray(parentValue) ? parentValue.indexOf(node.value) : node.key
+    if (key === -1 || parentValue[key] !== node.value) return null
+    path.unshift(String(key))
+    node = node.parent
+  }
+  return node.value === store.state ? path : null
+}
+
+function report (store, path, key) {
+  if (!path) return // 修改的是已经不在 state 树中的对象
+  if (key !== null) path = path.concat(key)
+  const target = path.length ? `"${path.join('.')}"` : 'the root state'
+  // 在写入时创建错误，错误栈指向修改 state 的代码
+  handleError(store, new Error(
+    `[vuex] do not mutate vuex store state outside mutation handlers. ` +
+    `${target} was written outside of a mutation.`
+  ))
+}
+
+// 与之前在 watcher 回调中 assert 时经过的 Vue 错误处理保持一致：
+// 设置了 Vue.config.errorHandler 时交给其处理，否则在浏览器中输出错误，在 Node（如 SSR）中抛出
+function handleError (store, error) {
+  const { config } = store._vm.constructor
+  if (config.errorHandler) {
+    try {
+      config.errorHandler.call(null, error, store._vm, 'vuex strict mode')
+      return
+    } catch (e) {
+      // errorHandler 自身抛出错误时，与 Vue 一样同时输出两个错误
+      if (e !== error) console.error(e)
+    }
+  }
+  if (typeof window !== 'undefined' && typeof console !== 'undefined') {
+    console.error(error)
+  } else {
+    throw error
+  }
+}
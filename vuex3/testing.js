@@ -0,0 +1,128 @@
+import { Store } from './store'
+import { forEachValue, isEqual } from './util'
+
+/**
+ * Create a real store from the given module definitions for unit tests.
+ * Actions and getters can be stubbed by their full (namespaced) type. The stubs are put into
+ * copies of the module definitions, so namespacing works exactly like the real store.
+ * Every commit and dispatch is recorded with its payload.
+ *
+ * 创建用于单元测试的 store，可以按完整的 type（包含 namespace）替换 action 和 getter，并记录所有的 commit 和 dispatch
+ *
+ * @param {Object} options - Vuex.Store options
+ * @param {Object} [stubs]
+ * @param {Object} [stubs.actions] # type => function (context, payload), or any other value which the action resolves to
+ * @param {Object} [stubs.getters] # type => function (state, getters, rootState, rootGetters), or any other value which the getter returns
+ * @return {Store}
+ */
+export function createTestStore (options = {}, { actions = {}, getters = {} } = {}) {
+  const stubs = { actions, getters }
+  const store = new Store(Object.assign({ devtools: false }, stubModule(options, '', stubs)))
+
+  store.commits = [] // 记录的 commit，形如 { type, payload }
+  store.dispatches = [] // 记录的 dispatch，形如 { type, payload }
+
+  store.subscribe(mutation => {
+    // 事务结束时的通知包含了事务中的所有 mutation
+    const list = mutation.type === 'vuex/transaction' ? mutation.payload : [mutation]
+    list.forEach(({ type, payload }) => store.commits.push({ type, payload }))
+  })
+  store.subscribeAction(({ type, payload }) => {
+    store.dispatches.push({ type, payload })
+  })
+
+  // 动态注册的 module 同样需要替换
+  const registerModule = store.registerModule
+  store.registerModule = function (path, rawModule, options) {
+    const normalizedPath = typeof path === 'string' ? [path] : path
+    let namespace = store._modules.getNamespace(normalizedPath.slice(0, -1))
+    if (rawModule.namespaced) {
+      namespace += normalizedPath[normalizedPath.length - 1] + '/'
+    }
+    registerModule.call(store, path, stubModule(rawModule, namespace, stubs), options)
+  }
+
+  // 不传 payload 时只比较 type
+  store.committed = function (type, payload) {
+    return hasRecord(store.commits, type, payload, arguments.length > 1)
+  }
+  store.dispatched = function (type, payload) {
+    return hasRecord(store.dispatches, type, payload, arguments.length > 1)
+  }
+
+  store.expectCommitted = function (type, payload) {
+    assertRecord('commit', store.commits, type, payload, arguments.length > 1)
+  }
+  store.expectDispatched = function (type, payload) {
+    assertRecord('dispatch', store.dispatches, type, payload, arguments.length > 1)
+  }
+
+  store.clearRecords = () => {
+    store.commits.length = 0
+    store.dispatches.length = 0
+  }
+
+  return store
+}
+
+// 复制 module 定义并替换其中的 action 和 getter，namespace 的计算方式与 ModuleCollection 相同
+function stubModule (rawModule, namespace, stubs) {
+  const res = Object.assign({}, rawModule)
+
+  if (rawModule.actions) {
+    res.actions = {}
+    forEachValue(rawModule.actions, (action, key) => {
+      const type = action.root ? key : namespace + key
+      if (!(type in stubs.actions)) {
+        res.actions[key] = action
+        return
+      }
+      const stub = stubs.actions[type]
+      const handler = typeof stub === 'function' ? stub : () => stub
+      res.actions[key] = action.root ? { root: true, handler } : handler
+    })
+  }
+
+  if (rawModule.getters) {
+    res.getters = {}
+    forEachValue(rawModule.getters, (getter, key) => {
+      const type = namespace + key
+      if (!(type in stubs.getters)) {
+        res.getters[key] = getter
+        return
+      }
+      const stub = stubs.getters[type]
+      res.getters[key] = typeof stub === 'function' ? stub : () => stub
+    })
+  }
+
+  if (rawModule.modules) {
+    res.modules = {}
+    forEachValue(rawModule.modules, (child, key) => {
+      // lazy module 总是以 key 作为 namespace
+      res.modules[key] = typeof child === 'function'
+        ? () => Promise.resolve(child()).then(child => {
+          if (child && child.default) child = child.default
+          return stubModule(child, namespace + key + '/', stubs)
+        })
+        : stubModule(child, namespace + (child.namespaced ? key + '/' : ''), stubs)
+    })
+  }
+
+  return res
+}
+
+function hasRecord (records, type, payload, checkPayload) {
+  return records.some(record =>
+    record.type === type && (!checkPayload || isEqual(record.payload, payload))
+  )
+}
+
+function assertRecord (kind, records, type, payload, checkPayload) {
+  if (hasRecord(records, type, payload, checkPayload)) return
+  const expected = checkPayload ? `"${type}" with payload ${JSON.stringify(payload)}` : `"${type}"`
+  const actual = records.length
+    ? records.map(record => `\n  - "${record.type}" ${JSON.stringify(record.payload)}`).join('')
+    : ' none'
+  throw new Error(`[vuex] expected ${kind} ${expected}, but recorded:${actual}`)
+}
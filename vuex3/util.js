@@ -48,6 +48,30 @@ export function deepCopy (obj, cache = []) {
   return copy
 }
 
+/**
+ * Copy plain objects and arrays, other values (such as Date, Map and class instances) are kept as they are.
+ * Unlike deepCopy it does not look for circular structures, which keeps copying the
+ * whole state on every commit linear.
+ *
+ * 复制普通对象以及数组，与 deepCopy 不同的是不处理循环引用，复制整个 state 的开销是线性的
+ *
+ * @param {*} value
+ * @return {*}
+ */
+export function clone (value) {
+  if (Array.isArray(value)) {
+    return value.map(clone)
+  }
+  if (isPlainObject(value)) {
+    const copy = {}
+    Object.keys(value).forEach(key => {
+      copy[key] = clone(value[key])
+    })
+    return copy
+  }
+  return value
+}
+
 /**
  * forEach for object
  */
@@ -59,6 +83,73 @@ export function isObject (obj) {
   return obj !== null && typeof obj === 'object'
 }
 
+export function isPlainObject (obj) {
+  return Object.prototype.toString.call(obj) === '[object Object]'
+}
+
+/**
+ * Compare two values deeply. Arrays and objects of the same prototype are compared by their own keys,
+ * Dates are compared by time, Maps and Sets are compared by identity.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean}
+ */
+export function isEqual (a, b) {
+  if (a === b) return true
+  if (!isObject(a) || !isObject(b)) return false
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+  }
+  if (a instanceof Map || a instanceof Set) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  // Vue 会修改响应式数组的原型，只比较对象的原型
+  if (!Array.isArray(a) && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) return false
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]))
+}
+
+/**
+ * Normalize a state path given as an Array or a dot-separated string, '' means the root state
+ * normalizePath('a.b') => ['a', 'b']
+ *
+ * @param {Array<String>|String} path
+ * @return {Array<String>}
+ */
+export function normalizePath (path) {
+  if (Array.isArray(path)) return path
+  return path ? path.split('.') : []
+}
+
+/**
+ * Get the value at the given path, returns undefined if any segment is missing
+ *
+ * @param {*} obj
+ * @param {Array<String>} path
+ * @return {*}
+ */
+export function getNestedValue (obj, path) {
+  return path.reduce((value, key) => isObject(value) ? value[key] : undefined, obj)
+}
+
+/**
+ * Return a shallow copy of obj along the given path with the value replaced,
+ * so that the result can be passed to store.replaceState()
+ *
+ * @param {*} obj
+ * @param {Array<String>} path
+ * @param {*} value
+ * @return {*}
+ */
+export function setNestedValue (obj, path, value) {
+  if (!path.length) return value
+  const key = path[0]
+  const copy = Array.isArray(obj) ? obj.slice() : Object.assign({}, obj)
+  copy[key] = setNestedValue(obj[key], path.slice(1), value)
+  return copy
+}
+
 export function isPromise (val) {
   return val && typeof val.then === 'function'
 }